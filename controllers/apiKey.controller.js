@@ -0,0 +1,81 @@
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../utils/apiKeyHelper');
+
+// Create an API key for the admin's company. The plain key is only returned here.
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'Please provide a name and at least one scope' });
+    }
+
+    const invalidScopes = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        validScopes: ApiKey.SCOPES
+      });
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({ message: 'expiresAt must be a future date' });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      company: req.user.company,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+      expiresAt: expiresAt || undefined
+    });
+
+    const apiKeyResponse = apiKey.toObject();
+    delete apiKeyResponse.keyHash;
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key,
+      apiKey: apiKeyResponse
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ company: req.user.company })
+      .populate('createdBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
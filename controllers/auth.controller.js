@@ -1,8 +1,44 @@
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Company = require('../models/Company');
 const HierarchyLevel = require('../models/HierarchyLevel');
+const { sendEmail } = require('../utils/emailService');
+const { generateToken, hashToken } = require('../utils/tokenHelper');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  signMfaToken,
+  switchSessionCompany
+} = require('../utils/sessionHelper');
+const { isMfaRequired } = require('./mfa.controller');
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require('../utils/loginGuard');
+const { recordLoginEvent } = require('../utils/loginHistory');
+const {
+  getCompanyStatus,
+  companyAccessError,
+  COMPANY_SUSPENDED_RESPONSE
+} = require('../utils/companyStatus');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  checkPasswordReuse,
+  setPassword,
+  getSessionScope,
+  sendPasswordErrors
+} = require('../utils/passwordPolicy');
+const { seatLimitError, sendQuotaError } = require('../utils/planLimits');
+const { getMembership, applyMembership, listMemberships } = require('../utils/membershipHelper');
+
+const isSsoOnly = (user) =>
+  user.role === 'employee'
+  && user.company?.sso?.enabled
+  && user.company.sso.disablePasswordLogin;
+
+exports.isSsoOnly = isSsoOnly;
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
 
 exports.register = async (req, res) => {
   try {
@@ -34,34 +70,45 @@ exports.register = async (req, res) => {
       }
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    if (role !== 'super_admin') {
+      const seatError = await seatLimitError(company);
+      if (seatError) {
+        return sendQuotaError(res, seatError);
+      }
+    }
+
+    const policy = await getPasswordPolicy(role !== 'super_admin' ? company : null);
+    const passwordErrors = validatePassword(password, policy, { email, name });
+    if (passwordErrors.length > 0) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       name,
       email,
-      password: hashedPassword,
       role,
       company: role !== 'super_admin' ? company : undefined
     });
+    await setPassword(user, password, policy);
+    await user.save();
 
     // If creating company_admin, update company with admin reference
     if (role === 'company_admin') {
       await Company.findByIdAndUpdate(company, { admin: user._id });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        company: user.company 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Super admins and companies requiring MFA set it up before the first session
+    if (await isMfaRequired(user)) {
+      return res.status(201).json({
+        mfaRequired: true,
+        mfaSetupRequired: true,
+        mfaToken: signMfaToken(user)
+      });
+    }
+
+    // Create session and tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -69,6 +116,7 @@ exports.register = async (req, res) => {
 
     res.status(201).json({
       token,
+      refreshToken,
       user: userResponse
     });
   } catch (error) {
@@ -89,36 +137,77 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Please provide email and password' });
     }
 
+    // Refuse early while the account or IP is backing off or locked out
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      await recordLoginEvent(req, { email, success: false, reason: 'throttled' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: throttle.locked
+          ? 'Too many failed login attempts. Account temporarily locked.'
+          : 'Too many login attempts. Please try again shortly.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Find user and populate company and hierarchy level details if exists
     const user = await User.findOne({ email })
-      .populate('company', 'name')
+      .populate('company', 'name active suspension sso.enabled sso.disablePasswordLogin')
       .populate('hierarchyLevel') // Populate hierarchy level to get permissions
       .select('+password'); // Include password field for comparison
 
-    if (!user) {
+    // Pending invitees have no password until they accept their invitation;
+    // deactivated users cannot sign in at all
+    if (!user || user.status === 'invited' || !user.active) {
+      await recordFailedLogin(email, req.ip);
+      await recordLoginEvent(req, { user, email, success: false, reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(email, req.ip);
+      await recordLoginEvent(req, { user, success: false, reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Nobody from a suspended company can sign in; read-only companies can
+    if (user.company && getCompanyStatus(user.company) === 'suspended') {
+      await recordLoginEvent(req, { user, success: false, reason: 'company_suspended' });
+      return res.status(403).json(COMPANY_SUSPENDED_RESPONSE);
+    }
+
+    // Companies can require SSO; their admins keep password login as a fallback
+    if (isSsoOnly(user)) {
+      await recordLoginEvent(req, { user, success: false, reason: 'password_login_disabled' });
+      return res.status(403).json({
+        message: 'Password login is disabled for your company. Please sign in with SSO.',
+        ssoUrl: `/api/auth/sso/${user.company._id}`
+      });
+    }
+
+    // A second factor is needed: hand back a short-lived MFA token instead of a session
+    const mfaSetupRequired = !user.mfa?.enabled && await isMfaRequired(user);
+    if (user.mfa?.enabled || mfaSetupRequired) {
+      return res.json({
+        mfaRequired: true,
+        mfaSetupRequired,
+        mfaToken: signMfaToken(user)
+      });
+    }
+
     // Access permissions directly from the populated hierarchyLevel
     // const permissions = user.hierarchyLevel.permissions;
     // console.log("permissions-",permissions);
 
-    // Create token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        company: user.company?._id 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Create session and tokens; an expired password limits the session to changing it.
+    // Failed attempts are only forgotten once a session is issued, so a known
+    // password cannot reset the counter that limits TOTP guesses.
+    const scope = await getSessionScope(user);
+    const { token, refreshToken } = await createSession(user, req, { scope });
+    await clearFailedLogins(email);
+    await recordLoginEvent(req, { user, success: true, method: 'password' });
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -130,7 +219,9 @@ exports.login = async (req, res) => {
     // Send response
     res.json({
       token,
-      user: userResponse
+      refreshToken,
+      user: userResponse,
+      ...(scope && { passwordExpired: true })
     });
 
   } catch (error) {
@@ -142,59 +233,219 @@ exports.login = async (req, res) => {
   }
 };
 
-// Add employee by company admin
-exports.addEmployee = async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
   try {
-    const { email, name, phone, hierarchyLevel, reportsTo } = req.body;
+    const { refreshToken } = req.body;
 
-    // Verify if the requester is a company admin
-    if (req.user.role !== 'company_admin') {
-      return res.status(403).json({ message: 'Only company admins can add employees' });
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Please provide a refresh token' });
     }
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
 
-    // Use phone number as password
-    const password = phone.replace(/[^0-9]/g, ''); // Remove non-numeric characters
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Phone number must be at least 6 digits' });
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Server error during token refresh',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke the session the current access token belongs to
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.session._id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// Revoke every session of the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// Companies the current user can switch between
+exports.getMyCompanies = async (req, res) => {
+  try {
+    // req.user shows the active company; the stored user holds their own one
+    const user = await User.findById(req.user._id);
+    const memberships = await listMemberships(user);
+
+    res.json(memberships.map(membership => ({
+      ...membership,
+      active: membership.company._id.toString() === req.user.company?.toString()
+    })));
+  } catch (error) {
+    console.error('Error fetching companies:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Move the current session to another of the user's companies. The returned
+// access token, and every refresh of it, acts in that company. The target
+// company's sign-in rules apply as if the user had signed in there: its MFA
+// requirement, SSO-only login and password expiry.
+exports.switchCompany = async (req, res) => {
+  try {
+    const { companyId } = req.body;
+
+    if (!companyId) {
+      return res.status(400).json({ message: 'Please provide a companyId' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const user = await User.findById(req.user._id).select('-password');
+    const membership = await getMembership(user, companyId);
+    if (!membership) {
+      return res.status(403).json({ message: 'You are not a member of this company' });
+    }
 
-    // Create employee
-    const employee = await User.create({
-      name,
-      email,
-      password: hashedPassword,
-      phone,
-      role: 'employee',
-      company: req.user.company,
-      hierarchyLevel,
-      reportsTo: reportsTo || null // Ensure reportsTo is set to null if not provided
+    const companyError = await companyAccessError(membership.company, 'GET');
+    if (companyError) {
+      return res.status(403).json(companyError);
+    }
+
+    const member = applyMembership(user, membership);
+    const company = await Company.findById(membership.company).select('sso.enabled sso.disablePasswordLogin');
+
+    // Only that company's own SSO gets an employee into an SSO-only company
+    if (isSsoOnly({ role: member.role, company })
+      && req.session.ssoCompany?.toString() !== company._id.toString()) {
+      return res.status(403).json({
+        message: 'This company requires signing in with SSO',
+        code: 'SSO_REQUIRED',
+        ssoUrl: `/api/auth/sso/${company._id}`
+      });
+    }
+
+    if (!member.mfa?.enabled && await isMfaRequired(member)) {
+      return res.status(403).json({
+        message: 'This company requires two-factor authentication. Enable it before switching.',
+        code: 'MFA_REQUIRED'
+      });
+    }
+
+    // An expired password under the company's policy limits the session to
+    // changing it, as at login
+    const scope = req.session.ssoCompany ? undefined : await getSessionScope(member);
+    const token = await switchSessionCompany(req.session, member, { scope });
+
+    res.json({
+      token,
+      company: membership.company,
+      role: membership.role,
+      ...(scope && { passwordExpired: true })
     });
+  } catch (error) {
+    console.error('Switch company error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    // Remove password from response
-    const employeeResponse = employee.toObject();
-    delete employeeResponse.password;
+// Email a single-use password reset link. Always responds the same way so the
+// endpoint cannot be used to discover which emails have accounts.
+exports.forgotPassword = async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
 
-    res.status(201).json({
-      message: 'Employee added successfully',
-      employee: employeeResponse,
-      initialPassword: password // Send the initial password to be shared with employee
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide an email' });
+    }
+
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+      status: { $ne: 'invited' },
+      active: true
+    }).populate('company', 'active suspension sso.enabled sso.disablePasswordLogin');
+
+    // No reset link for accounts that cannot use a password anyway
+    if (!user || isSsoOnly(user) || (user.company && getCompanyStatus(user.company) === 'suspended')) {
+      return res.json(genericResponse);
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = expiresAt;
+    await user.save();
+
+    await sendEmail({
+      to: user.email,
+      type: 'PASSWORD_RESET',
+      data: {
+        name: user.name,
+        token,
+        expiresAt
+      },
+      company: user.company
     });
 
+    res.json(genericResponse);
   } catch (error) {
-    console.error('Error adding employee:', error);
-    res.status(500).json({ 
-      message: 'Server error during employee creation',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+};
+
+// Set a new password using a reset token, then sign the user out everywhere
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide token and password' });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const policy = await getPasswordPolicy(user.company);
+    const passwordErrors = validatePassword(password, policy, user);
+    if (passwordErrors.length === 0) {
+      passwordErrors.push(...await checkPasswordReuse(user, password, policy));
+    }
+    if (passwordErrors.length > 0) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
+
+    await setPassword(user, password, policy);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset successfully. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
   }
-};
\ No newline at end of file
+};
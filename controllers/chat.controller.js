@@ -1,5 +1,6 @@
 const { Chat } = require('../models/Chat');
-const User = require('../models/User');
+const { findCompanyMember } = require('../utils/membershipHelper');
+const { deleteStoredFiles } = require('../utils/planLimits');
 const mongoose = require('mongoose');
 const ObjectId = mongoose.Types.ObjectId;
 const path = require('path');
@@ -11,23 +12,17 @@ exports.createDirectChat = async (req, res) => {
     const userId = req.user.id;
     const { userId: targetUserId } = req.body;
 
-    // Validate both users exist
+    // Both must belong to the active company, as its own users or as members
+    // joining from another company
     const [currentUser, targetUser] = await Promise.all([
-      User.findById(userId),
-      User.findById(targetUserId)
+      findCompanyMember(req.user.company, userId),
+      findCompanyMember(req.user.company, targetUserId)
     ]);
 
     if (!currentUser || !targetUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if they're in the same company
-    if (currentUser.company.toString() !== targetUser.company.toString()) {
-      return res.status(403).json({ 
-        message: 'Cannot create chat with users from different companies' 
-      });
-    }
-
     // Check if chat already exists
     const existingChat = await Chat.findDirectChat(userId, targetUserId);
     if (existingChat) {
@@ -37,6 +32,7 @@ exports.createDirectChat = async (req, res) => {
     // Create new direct chat
     const newChat = new Chat({
       type: 'direct',
+      company: req.user.company,
       // Keep participants as ObjectIds for backward compatibility
       participants: [userId, targetUserId],
       // Store detailed information in participantDetails
@@ -92,29 +88,20 @@ exports.createGroupChat = async (req, res) => {
     // Ensure creator is included in participants
     const allParticipants = [...new Set([userId, ...participants])];
 
-    // Verify all users exist and are from the same company
-    const currentUser = await User.findById(userId);
-    const participantUsers = await User.find({ _id: { $in: allParticipants } });
-
-    if (participantUsers.length !== allParticipants.length) {
-      return res.status(404).json({ message: 'One or more users not found' });
-    }
-
-    // Check if all users are in the same company
-    const companyId = currentUser.company.toString();
-    const notInCompany = participantUsers.some(user => 
-      user.company.toString() !== companyId
+    // Everyone must belong to the active company, as its own users or as
+    // members joining from another company
+    const participantUsers = await Promise.all(
+      allParticipants.map(id => findCompanyMember(req.user.company, id))
     );
 
-    if (notInCompany) {
-      return res.status(403).json({ 
-        message: 'Cannot create group with users from different companies' 
-      });
+    if (participantUsers.some(user => !user)) {
+      return res.status(404).json({ message: 'One or more users not found in your company' });
     }
 
     // Create the group chat
     const newChat = new Chat({
       type: 'group',
+      company: req.user.company,
       name,
       description,
       participants: allParticipants,
@@ -444,6 +431,9 @@ exports.deleteMessage = async (req, res) => {
       return res.status(403).json({ message: 'Only the sender can delete for everyone' });
     }
 
+    // Deleting for everyone removes the message's files for good
+    const removedFiles = forEveryone ? message.attachments.map(attachment => attachment.fileUrl) : [];
+
     if (forEveryone) {
       // Mark as deleted for everyone
       message.isDeleted = true;
@@ -457,6 +447,7 @@ exports.deleteMessage = async (req, res) => {
     }
 
     await chat.save();
+    await deleteStoredFiles(chat.company, removedFiles);
 
     return res.status(200).json({ 
       message: 'Message deleted successfully',
@@ -1,16 +1,38 @@
 const Company = require('../models/Company');
 const User = require('../models/User');
-const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
+const { revokeCompanySessions, disconnectCompanySockets } = require('../utils/sessionHelper');
+const {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  validatePassword,
+  setPassword,
+  sendPasswordErrors
+} = require('../utils/passwordPolicy');
+const { resolveSettings, normalizeSettings } = require('../utils/companyCalendar');
+const Plan = require('../models/Plan');
+const { getDefaultPlan, getCompanyUsage } = require('../utils/planLimits');
+const DeletionCertificate = require('../models/DeletionCertificate');
+const {
+  COOLING_OFF_DAYS,
+  deleteCompany,
+  verifyCertificate,
+  canSignCertificates
+} = require('../utils/companyDeletion');
+const { resolveBranding, normalizeBranding } = require('../utils/branding');
+const { normalizeTaskAuthorization } = require('../utils/hierarchyHelper');
+const { EMAIL_TYPES, previewEmail } = require('../utils/emailService');
 
 exports.createCompany = async (req, res) => {
   try {
     const { name, description } = req.body;
+    const defaultPlan = await getDefaultPlan();
 
     const company = await Company.create({
       name,
       description,
-      admin: req.user.id
+      admin: req.user.id,
+      plan: defaultPlan?._id
     });
 
     res.status(201).json(company);
@@ -22,7 +44,7 @@ exports.createCompany = async (req, res) => {
 exports.getCompanies = async (req, res) => {
   try {
     const companies = await Company.find()
-      .populate('admin', 'name email');
+      .populate({ path: 'admin', select: 'name email', options: { crossTenant: true } });
     res.json(companies);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -31,8 +53,15 @@ exports.getCompanies = async (req, res) => {
 
 exports.getCompany = async (req, res) => {
   try {
+    const isSuperAdmin = req.user.role === 'super_admin';
+
+    // Everyone else may only see their own company
+    if (!isSuperAdmin && req.user.company?.toString() !== req.params.id) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
     const company = await Company.findById(req.params.id)
-      .populate('admin', 'name email');
+      .populate({ path: 'admin', select: 'name email', options: { crossTenant: isSuperAdmin } });
     
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
@@ -49,7 +78,7 @@ exports.getCompanyStats = async (req, res) => {
   try {
     const totalCompanies = await Company.countDocuments();
     const activeCompanies = await Company.countDocuments({ active: true });
-    const totalUsers = await User.countDocuments();
+    const totalUsers = await User.countDocuments().setOptions({ crossTenant: true });
 
     res.json({
       totalCompanies,
@@ -77,32 +106,38 @@ exports.createCompanyWithAdmin = async (req, res) => {
       });
     }
 
+    // New companies start with the default password policy
+    const passwordErrors = validatePassword(admin.password, DEFAULT_POLICY, admin);
+    if (passwordErrors.length > 0) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
+
     // Check if admin email already exists
-    const existingUser = await User.findOne({ email: admin.email });
+    const existingUser = await User.findOne({ email: admin.email }).setOptions({ crossTenant: true });
     if (existingUser) {
       return res.status(400).json({ message: 'Admin email already exists' });
     }
 
+    const defaultPlan = await getDefaultPlan();
+
     try {
       // Create company first (without admin)
       const company = await Company.create([{
         name,
         description,
         active: true,
+        plan: defaultPlan?._id,
       }], { session });
 
-      // Hash password for admin
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(admin.password, salt);
-
-      // Create admin user
-      const adminUser = await User.create([{
+      // Create admin user with a hashed password
+      const adminData = {
         name: admin.name,
         email: admin.email,
-        password: hashedPassword,
         role: 'company_admin',
         company: company[0]._id
-      }], { session });
+      };
+      await setPassword(adminData, admin.password);
+      const adminUser = await User.create([adminData], { session });
 
       // Update company with admin reference
       await Company.findByIdAndUpdate(
@@ -150,9 +185,22 @@ exports.updateCompany = async (req, res) => {
     const { name, description, active } = req.body;
     const companyId = req.params.id;
 
+    const update = { name, description, active };
+    // Deactivating here locks the company immediately; use /suspend for a
+    // read-only grace period
+    if (active === false) {
+      update.suspension = {
+        mode: 'locked',
+        suspendedAt: new Date(),
+        suspendedBy: req.user._id
+      };
+    } else if (active === true) {
+      update.$unset = { suspension: 1 };
+    }
+
     const updatedCompany = await Company.findByIdAndUpdate(
       companyId,
-      { name, description, active },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -160,9 +208,489 @@ exports.updateCompany = async (req, res) => {
       return res.status(404).json({ message: 'Company not found' });
     }
 
+    // Force everyone in a deactivated company to re-authenticate
+    if (active === false) {
+      await revokeCompanySessions(companyId, 'company_suspended');
+    }
+
     res.json(updatedCompany);
   } catch (error) {
     console.error('Error updating company:', error);
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+const MAX_GRACE_DAYS = 90;
+
+// Suspend a company. 'locked' signs everyone out at once; 'read_only' keeps
+// users signed in with read access until graceDays have passed, then locks.
+exports.suspendCompany = async (req, res) => {
+  try {
+    const { mode = 'locked', graceDays, reason } = req.body;
+
+    if (!['locked', 'read_only'].includes(mode)) {
+      return res.status(400).json({ message: "mode must be 'locked' or 'read_only'" });
+    }
+
+    const suspension = {
+      mode,
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id
+    };
+
+    if (mode === 'read_only' && graceDays !== undefined) {
+      if (!Number.isInteger(graceDays) || graceDays < 1 || graceDays > MAX_GRACE_DAYS) {
+        return res.status(400).json({
+          message: `graceDays must be a whole number between 1 and ${MAX_GRACE_DAYS}`
+        });
+      }
+      suspension.lockAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      { active: false, suspension },
+      { new: true, runValidators: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (mode === 'locked') {
+      await revokeCompanySessions(company._id, 'company_suspended');
+    } else {
+      disconnectCompanySockets(company._id);
+    }
+
+    res.json(company);
+  } catch (error) {
+    console.error('Error suspending company:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Lift a suspension. Users of a locked company sign in again as normal.
+exports.reactivateCompany = async (req, res) => {
+  try {
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      { active: true, $unset: { suspension: 1 } },
+      { new: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    // Read-only sockets reconnect with write access
+    disconnectCompanySockets(company._id);
+
+    res.json(company);
+  } catch (error) {
+    console.error('Error reactivating company:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Move a company to another plan, or to no plan (unlimited) with planId null.
+// Downgrades are allowed while over a limit; new users and uploads are then
+// refused until usage is back under it.
+exports.updateCompanyPlan = async (req, res) => {
+  try {
+    const { planId } = req.body;
+
+    if (planId === undefined) {
+      return res.status(400).json({ message: 'Please provide planId' });
+    }
+
+    if (planId !== null) {
+      if (!mongoose.isValidObjectId(planId)) {
+        return res.status(400).json({ message: 'Invalid planId' });
+      }
+      const plan = await Plan.findOne({ _id: planId, active: true });
+      if (!plan) {
+        return res.status(404).json({ message: 'Plan not found' });
+      }
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      planId === null ? { $unset: { plan: 1 } } : { plan: planId },
+      { new: true }
+    ).populate('plan');
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(await getCompanyUsage(company));
+  } catch (error) {
+    console.error('Error updating company plan:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Usage against plan limits for one company (its admin or a super admin)
+exports.getUsage = async (req, res) => {
+  try {
+    if (req.user.role !== 'super_admin' && req.user.company?.toString() !== req.params.id) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const company = await Company.findById(req.params.id).select('name plan usage').populate('plan');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(await getCompanyUsage(company));
+  } catch (error) {
+    console.error('Error fetching company usage:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Usage of every company, for super admins
+exports.getAllUsage = async (req, res) => {
+  try {
+    const companies = await Company.find().select('name plan usage').populate('plan').sort('name');
+    const usage = await Promise.all(companies.map(getCompanyUsage));
+
+    res.json(usage);
+  } catch (error) {
+    console.error('Error fetching company usage:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Step one of deleting a company: schedule it. It can be confirmed once the
+// cooling-off period has passed and cancelled until it is confirmed.
+exports.scheduleDeletion = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (company.deletion?.scheduledAt) {
+      return res.status(409).json({ message: 'Deletion is already scheduled', deletion: company.deletion });
+    }
+
+    const now = new Date();
+    company.deletion = {
+      scheduledAt: now,
+      scheduledBy: req.user._id,
+      confirmableAt: new Date(now.getTime() + COOLING_OFF_DAYS * 24 * 60 * 60 * 1000),
+      reason: req.body.reason
+    };
+    await company.save();
+
+    res.json({
+      message: `Deletion scheduled. It can be confirmed after ${COOLING_OFF_DAYS} days.`,
+      deletion: company.deletion
+    });
+  } catch (error) {
+    console.error('Error scheduling company deletion:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const company = await Company.findOneAndUpdate(
+      { _id: req.params.id, 'deletion.scheduledAt': { $exists: true } },
+      { $unset: { deletion: 1 } },
+      { new: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({ message: 'No deletion is scheduled for this company' });
+    }
+
+    res.json({ message: 'Deletion cancelled', company });
+  } catch (error) {
+    console.error('Error cancelling company deletion:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Step two: permanently delete the company and everything in it. The company
+// name must be repeated to confirm.
+exports.confirmDeletion = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!company.deletion?.scheduledAt) {
+      return res.status(409).json({ message: 'Deletion must be scheduled first' });
+    }
+
+    if (company.deletion.confirmableAt > new Date()) {
+      return res.status(409).json({
+        message: 'The cooling-off period has not ended yet',
+        confirmableAt: company.deletion.confirmableAt
+      });
+    }
+
+    if (req.body.companyName !== company.name) {
+      return res.status(400).json({ message: 'companyName does not match the company name' });
+    }
+
+    if (!canSignCertificates()) {
+      console.error('Company deletion error: DELETION_CERTIFICATE_SECRET is not set');
+      return res.status(503).json({ message: 'Company deletion is not configured on this server' });
+    }
+
+    const certificate = await deleteCompany(company, req.user._id);
+
+    res.json({ message: 'Company deleted', certificate });
+  } catch (error) {
+    console.error('Error deleting company:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getDeletionCertificates = async (req, res) => {
+  try {
+    const certificates = await DeletionCertificate.find().sort('-deletedAt');
+    res.json(certificates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getDeletionCertificate = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.certificateId)) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const certificate = await DeletionCertificate.findById(req.params.certificateId)
+      .populate({ path: 'scheduledBy confirmedBy', select: 'name email', options: { crossTenant: true } });
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    res.json({ certificate, valid: verifyCertificate(certificate) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Company-wide security settings (company admin of that company or super admin)
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireMfa, passwordPolicy, taskAuthorization } = req.body;
+    const companyId = req.params.id;
+
+    if (req.user.role !== 'super_admin' && req.user.company?.toString() !== companyId) {
+      return res.status(403).json({ message: 'Not authorized to update this company' });
+    }
+
+    const update = {};
+
+    if (requireMfa !== undefined) {
+      if (typeof requireMfa !== 'boolean') {
+        return res.status(400).json({ message: 'requireMfa must be a boolean' });
+      }
+      update.requireMfa = requireMfa;
+    }
+
+    if (passwordPolicy !== undefined) {
+      const { policy, errors } = normalizePolicy(passwordPolicy);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid password policy', errors });
+      }
+      Object.keys(policy).forEach(key => {
+        update[`passwordPolicy.${key}`] = policy[key];
+      });
+    }
+
+    if (taskAuthorization !== undefined) {
+      const { taskAuthorization: settings, errors } = normalizeTaskAuthorization(taskAuthorization);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid task authorization settings', errors });
+      }
+      Object.keys(settings).forEach(key => {
+        update[`taskAuthorization.${key}`] = settings[key];
+      });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'Please provide requireMfa, passwordPolicy or taskAuthorization' });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      companyId,
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(company);
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Timezone, working week, holidays and locale; readable by every member of the company
+exports.getSettings = async (req, res) => {
+  try {
+    if (req.user.role !== 'super_admin' && req.user.company?.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'Not authorized to view this company' });
+    }
+
+    const company = await Company.findById(req.params.id).select('settings');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(resolveSettings(company.toObject().settings));
+  } catch (error) {
+    console.error('Error fetching company settings:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateSettings = async (req, res) => {
+  try {
+    if (req.user.role !== 'super_admin' && req.user.company?.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'Not authorized to update this company' });
+    }
+
+    const { settings, errors } = normalizeSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid company settings', errors });
+    }
+
+    const update = {};
+    Object.keys(settings).forEach(key => {
+      update[`settings.${key}`] = settings[key];
+    });
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'No settings provided' });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    ).select('settings');
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(resolveSettings(company.toObject().settings));
+  } catch (error) {
+    console.error('Error updating company settings:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const canManageBranding = (req) =>
+  req.user.role === 'super_admin' || req.user.company?.toString() === req.params.id;
+
+// Logo, colors, sender, footer and frontend domain used in the company's emails
+exports.getBranding = async (req, res) => {
+  try {
+    if (!canManageBranding(req)) {
+      return res.status(403).json({ message: 'Not authorized to view this company' });
+    }
+
+    const company = await Company.findById(req.params.id).select('branding');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json({
+      branding: company.toObject().branding || {},
+      resolved: resolveBranding(company.toObject().branding),
+      templates: EMAIL_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching company branding:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateBranding = async (req, res) => {
+  try {
+    if (!canManageBranding(req)) {
+      return res.status(403).json({ message: 'Not authorized to update this company' });
+    }
+
+    const { branding, errors } = normalizeBranding(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid branding', errors });
+    }
+
+    if (Object.keys(branding).length === 0) {
+      return res.status(400).json({ message: 'No branding provided' });
+    }
+
+    const update = {};
+    Object.keys(branding).forEach(key => {
+      const operator = branding[key] === null ? '$unset' : '$set';
+      update[operator] = { ...update[operator], [`branding.${key}`]: branding[key] ?? 1 };
+    });
+
+    const company = await Company.findByIdAndUpdate(req.params.id, update, { new: true }).select('branding');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json({
+      branding: company.toObject().branding || {},
+      resolved: resolveBranding(company.toObject().branding)
+    });
+  } catch (error) {
+    console.error('Error updating company branding:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Render an email template with sample data. Unsaved branding in the body is
+// applied over the saved one, so changes can be checked before saving them.
+exports.previewBrandingEmail = async (req, res) => {
+  try {
+    if (!canManageBranding(req)) {
+      return res.status(403).json({ message: 'Not authorized to view this company' });
+    }
+
+    const { type, branding: changes } = req.body;
+    if (!EMAIL_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${EMAIL_TYPES.join(', ')}` });
+    }
+
+    const { branding, errors } = changes === undefined ? { branding: {}, errors: [] } : normalizeBranding(changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid branding', errors });
+    }
+
+    const company = await Company.findById(req.params.id).select('name branding settings');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { branding: saved, settings } = company.toObject();
+    const email = previewEmail(type, { ...saved, ...branding }, company.name, settings);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+
+    res.json({ type, ...email });
+  } catch (error) {
+    console.error('Error previewing email:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const User = require('../models/User');
+
+const findCompanyUser = (companyId, userId) => {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return User.findOne({ _id: userId, company: companyId });
+};
+
+const findCompanyDepartment = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Department.findOne({ _id: req.params.id, company: req.user.company });
+};
+
+exports.getDepartments = async (req, res) => {
+  try {
+    const departments = await Department.find({ company: req.user.company })
+      .populate('head', 'name email avatar')
+      .sort('name')
+      .lean();
+
+    const memberCounts = await User.aggregate([
+      { $match: { company: req.user.company, departments: { $exists: true, $ne: [] } } },
+      { $unwind: '$departments' },
+      { $group: { _id: '$departments', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(memberCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json(departments.map(department => ({
+      ...department,
+      memberCount: countById.get(department._id.toString()) || 0
+    })));
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getDepartment = async (req, res) => {
+  try {
+    const department = await findCompanyDepartment(req)?.populate('head', 'name email avatar');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const members = await User.find({ company: req.user.company, departments: department._id })
+      .select('name email avatar role hierarchyLevel')
+      .populate('hierarchyLevel', 'name level')
+      .sort('name');
+
+    res.json({ ...department.toObject(), members });
+  } catch (error) {
+    console.error('Error fetching department:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.createDepartment = async (req, res) => {
+  try {
+    const { name, description, head } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Please provide a department name' });
+    }
+
+    if (await Department.exists({ company: req.user.company, name: name.trim() })) {
+      return res.status(400).json({ message: 'A department with this name already exists' });
+    }
+
+    let headUser = null;
+    if (head) {
+      headUser = await findCompanyUser(req.user.company, head);
+      if (!headUser) {
+        return res.status(400).json({ message: 'Department head must be a user of your company' });
+      }
+    }
+
+    const department = await Department.create({
+      company: req.user.company,
+      name,
+      description,
+      head: headUser?._id || null
+    });
+
+    if (headUser) {
+      await User.updateOne({ _id: headUser._id }, { $addToSet: { departments: department._id } });
+    }
+
+    res.status(201).json(department);
+  } catch (error) {
+    console.error('Error creating department:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateDepartment = async (req, res) => {
+  try {
+    const { name, description, head } = req.body;
+
+    const department = await findCompanyDepartment(req);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Department name cannot be empty' });
+      }
+      const duplicate = await Department.exists({
+        company: req.user.company,
+        name: name.trim(),
+        _id: { $ne: department._id }
+      });
+      if (duplicate) {
+        return res.status(400).json({ message: 'A department with this name already exists' });
+      }
+      department.name = name;
+    }
+
+    if (description !== undefined) department.description = description;
+
+    // null removes the head; the former head stays a member
+    if (head !== undefined) {
+      if (head === null) {
+        department.head = null;
+      } else {
+        const headUser = await findCompanyUser(req.user.company, head);
+        if (!headUser) {
+          return res.status(400).json({ message: 'Department head must be a user of your company' });
+        }
+        department.head = headUser._id;
+        await User.updateOne({ _id: headUser._id }, { $addToSet: { departments: department._id } });
+      }
+    }
+
+    await department.save();
+    res.json(department);
+  } catch (error) {
+    console.error('Error updating department:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Members and hierarchy levels lose the department; nothing else is deleted
+exports.deleteDepartment = async (req, res) => {
+  try {
+    const department = await findCompanyDepartment(req);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    await User.updateMany(
+      { company: req.user.company, departments: department._id },
+      { $pull: { departments: department._id } }
+    );
+    await HierarchyLevel.updateMany(
+      { company: req.user.company, departmentScope: department._id },
+      { $pull: { departmentScope: department._id } }
+    );
+    await department.deleteOne();
+
+    res.json({ message: 'Department deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.addMembers = async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ message: 'Please provide userIds' });
+    }
+
+    const department = await findCompanyDepartment(req);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const validIds = userIds.filter(id => mongoose.isValidObjectId(id));
+    const users = await User.find({ _id: { $in: validIds }, company: req.user.company }).select('_id');
+    if (validIds.length !== userIds.length || users.length !== new Set(validIds.map(String)).size) {
+      return res.status(400).json({ message: 'All members must be users of your company' });
+    }
+
+    await User.updateMany(
+      { _id: { $in: users.map(user => user._id) } },
+      { $addToSet: { departments: department._id } }
+    );
+
+    res.json({ message: 'Members added successfully' });
+  } catch (error) {
+    console.error('Error adding department members:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.removeMember = async (req, res) => {
+  try {
+    const department = await findCompanyDepartment(req);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (department.head?.toString() === req.params.userId) {
+      return res.status(400).json({ message: 'Assign another department head before removing this member' });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.params.userId, company: req.user.company, departments: department._id },
+      { $pull: { departments: department._id } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing department member:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
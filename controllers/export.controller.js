@@ -0,0 +1,114 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const ExportJob = require('../models/ExportJob');
+const { enqueueExport } = require('../utils/companyExport');
+
+// Super admins, or the company admin of this company (enforced by the route)
+const canManageCompany = (user, companyId) =>
+  user.role === 'super_admin' || user.company?.toString() === companyId;
+
+const findJob = (req) => {
+  if (!mongoose.isValidObjectId(req.params.exportId)) return null;
+  return ExportJob.findOne({ _id: req.params.exportId, company: req.params.id });
+};
+
+// Start a full export of the company's data. It runs in the background; poll
+// the job for progress and download the archive once it completes.
+exports.createExport = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to export this company' });
+    }
+
+    const company = await Company.findById(req.params.id).select('_id');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    // One export per company at a time
+    const pending = await ExportJob.findOne({
+      company: company._id,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (pending) {
+      return res.status(409).json({ message: 'An export is already in progress', export: pending });
+    }
+
+    const job = await ExportJob.create({
+      company: company._id,
+      requestedBy: req.user._id
+    });
+
+    enqueueExport(job._id);
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error starting export:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getExports = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to view exports of this company' });
+    }
+
+    const jobs = await ExportJob.find({ company: req.params.id })
+      .populate({ path: 'requestedBy', select: 'name email', options: { crossTenant: req.user.role === 'super_admin' } })
+      .sort('-createdAt')
+      .limit(20);
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching exports:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Status and progress of one export
+exports.getExport = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to view exports of this company' });
+    }
+
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.downloadExport = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to download exports of this company' });
+    }
+
+    const job = await findJob(req)?.select('+filePath');
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ message: `Export is ${job.status}`, export: job });
+    }
+
+    if (!job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(410).json({ message: 'Export archive is no longer available' });
+    }
+
+    const date = job.completedAt.toISOString().slice(0, 10);
+    res.download(job.filePath, `workzen-export-${job.company}-${date}.zip`);
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,6 +1,39 @@
 const HierarchyLevel = require('../models/HierarchyLevel');
 const User = require('../models/User');
-const bcrypt = require('bcryptjs');
+const { resolveDepartments } = require('../utils/departmentHelper');
+const {
+  loadOrgMembers,
+  loadOrgLevels,
+  indexOrg,
+  buildNode,
+  buildOrgChart,
+  buildChain
+} = require('../utils/orgChart');
+const { loadTaskAuthorization } = require('../utils/hierarchyHelper');
+const {
+  createsCycle,
+  planMove,
+  planRenumber,
+  planDelete,
+  describePlan,
+  applyPlan
+} = require('../utils/hierarchyRestructure');
+const {
+  rowsFromCsv,
+  rowsFromJson,
+  validateImport,
+  applyImport
+} = require('../utils/hierarchyImport');
+
+// departmentScope may list department ids or names; unknown ones are rejected
+const resolveScope = async (companyId, departmentScope) => {
+  if (departmentScope === undefined) return { ids: undefined, unknown: [] };
+  return resolveDepartments(companyId, departmentScope);
+};
+
+const unknownDepartmentsResponse = (unknown) => ({
+  message: `Unknown departments: ${unknown.join(', ')}`
+});
 
 exports.createHierarchyLevel = async (req, res) => {
   try {
@@ -10,6 +43,11 @@ exports.createHierarchyLevel = async (req, res) => {
       return res.status(403).json({ message: 'Only company admins can create hierarchy levels' });
     }
 
+    const scope = await resolveScope(req.user.company, departmentScope);
+    if (scope.unknown.length > 0) {
+      return res.status(400).json(unknownDepartmentsResponse(scope.unknown));
+    }
+
     const hierarchyLevel = await HierarchyLevel.create({
       company: req.user.company,
       name,
@@ -18,7 +56,7 @@ exports.createHierarchyLevel = async (req, res) => {
       reportsTo,
       permissions,
       maxTasksPerDay,
-      departmentScope
+      departmentScope: scope.ids
     });
 
     res.status(201).json(hierarchyLevel);
@@ -32,6 +70,7 @@ exports.getCompanyHierarchy = async (req, res) => {
   try {
     const hierarchy = await HierarchyLevel.find({ company: req.user.company })
       .populate('reportsTo', 'name level')
+      .populate('departmentScope', 'name')
       .sort('level');
     
     res.json(hierarchy);
@@ -41,6 +80,58 @@ exports.getCompanyHierarchy = async (req, res) => {
   }
 };
 
+// Nested reporting tree built from reportsTo. ?root=<userId> returns the
+// subtree below that person; ?depth=<n> limits how many levels are expanded.
+exports.getOrgChart = async (req, res) => {
+  try {
+    const { root } = req.query;
+
+    let depth = null;
+    if (req.query.depth !== undefined) {
+      depth = Number(req.query.depth);
+      if (!Number.isInteger(depth) || depth < 0) {
+        return res.status(400).json({ message: 'depth must be a whole number of 0 or more' });
+      }
+    }
+
+    const members = await loadOrgMembers(req.user.company);
+    const levels = await loadOrgLevels(req.user.company);
+
+    if (!root) {
+      return res.json(buildOrgChart(members, levels, { depth }));
+    }
+
+    const org = indexOrg(members, levels);
+    const rootMember = org.memberById.get(root.toString());
+    if (!rootMember) {
+      return res.status(404).json({ message: 'User not found in your company' });
+    }
+
+    res.json({ root: buildNode(org, levels, rootMember, depth) });
+  } catch (error) {
+    console.error('Error building org chart:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The user's manager, their manager's manager and so on up to the top
+exports.getChainOfCommand = async (req, res) => {
+  try {
+    const members = await loadOrgMembers(req.user.company);
+    const levels = await loadOrgLevels(req.user.company);
+
+    const chain = buildChain(members, levels, req.params.userId);
+    if (chain.length === 0) {
+      return res.status(404).json({ message: 'User not found in your company' });
+    }
+
+    res.json(chain);
+  } catch (error) {
+    console.error('Error fetching chain of command:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 exports.updateHierarchyLevel = async (req, res) => {
   try {
     const { name, canAssignTasks, reportsTo, permissions, maxTasksPerDay, departmentScope } = req.body;
@@ -53,12 +144,27 @@ exports.updateHierarchyLevel = async (req, res) => {
       return res.status(404).json({ message: 'Hierarchy level not found' });
     }
 
+    const scope = await resolveScope(req.user.company, departmentScope);
+    if (scope.unknown.length > 0) {
+      return res.status(400).json(unknownDepartmentsResponse(scope.unknown));
+    }
+
+    if (reportsTo) {
+      const levels = await HierarchyLevel.find({ company: req.user.company }).select('reportsTo').lean();
+      if (!levels.some(level => level._id.toString() === reportsTo.toString())) {
+        return res.status(400).json({ message: 'Parent level must belong to your company' });
+      }
+      if (createsCycle(levels, hierarchyLevel._id, reportsTo)) {
+        return res.status(400).json({ message: 'A level cannot report to itself or a level below it' });
+      }
+    }
+
     hierarchyLevel.name = name || hierarchyLevel.name;
     hierarchyLevel.canAssignTasks = canAssignTasks ?? hierarchyLevel.canAssignTasks;
     hierarchyLevel.reportsTo = reportsTo || hierarchyLevel.reportsTo;
     hierarchyLevel.permissions = permissions || hierarchyLevel.permissions;
     hierarchyLevel.maxTasksPerDay = maxTasksPerDay || hierarchyLevel.maxTasksPerDay;
-    hierarchyLevel.departmentScope = departmentScope || hierarchyLevel.departmentScope;
+    hierarchyLevel.departmentScope = scope.ids || hierarchyLevel.departmentScope;
 
     await hierarchyLevel.save();
     res.json(hierarchyLevel);
@@ -68,91 +174,130 @@ exports.updateHierarchyLevel = async (req, res) => {
   }
 };
 
-exports.addEmployee = async (req, res) => {
-  try {
-    const { email, name, phone, hierarchyLevel, reportsTo } = req.body;
+// Restructuring previews its changes with ?dryRun=true (or dryRun in the
+// body) and only writes them otherwise
+const isDryRun = (req) => req.query.dryRun === 'true' || req.body?.dryRun === true;
 
-    if (req.user.role !== 'company_admin') {
-      return res.status(403).json({ message: 'Only company admins can add employees' });
-    }
+const restructure = async (req, res, makePlan) => {
+  const levels = await HierarchyLevel.find({ company: req.user.company })
+    .select('name level reportsTo permissions')
+    .lean();
+  if (!levels.some(level => level._id.toString() === req.params.id)) {
+    return res.status(404).json({ message: 'Hierarchy level not found' });
+  }
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
-    }
+  const { plan, error } = makePlan(levels, req.params.id);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const members = await loadOrgMembers(req.user.company);
+  const settings = await loadTaskAuthorization(req.user.company);
+  const changes = describePlan(levels, plan, members, settings);
+
+  const dryRun = isDryRun(req);
+  if (!dryRun) {
+    await applyPlan(req.user.company, levels, plan);
+  }
 
-    const password = phone.replace(/[^0-9]/g, '');
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Phone number must be at least 6 digits' });
+  res.json({ dryRun, ...changes });
+};
+
+// Move a level under parentId (null for the top of the hierarchy)
+exports.moveHierarchyLevel = async (req, res) => {
+  try {
+    const { parentId } = req.body;
+    if (parentId === undefined) {
+      return res.status(400).json({ message: 'Please provide parentId, or null to move the level to the top' });
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    await restructure(req, res, (levels, levelId) => planMove(levels, levelId, parentId));
+  } catch (error) {
+    console.error('Error moving hierarchy level:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    const employee = await User.create({
-      name,
-      email,
-      password: hashedPassword,
-      phone,
-      role: 'employee',
-      company: req.user.company,
-      hierarchyLevel,
-      reportsTo: reportsTo || null
-    });
+// Set a level's number (by default one below its parent) and renumber the
+// levels below it
+exports.renumberHierarchyLevel = async (req, res) => {
+  try {
+    const { level } = req.body;
+    const number = level === undefined || level === null ? undefined : Number(level);
 
-    const employeeResponse = employee.toObject();
-    delete employeeResponse.password;
+    await restructure(req, res, (levels, levelId) => planRenumber(levels, levelId, number));
+  } catch (error) {
+    console.error('Error renumbering hierarchy level:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    res.status(201).json({
-      message: 'Employee added successfully',
-      employee: employeeResponse,
-      initialPassword: password
-    });
+// Delete a level; its users move to reassignTo
+exports.deleteHierarchyLevel = async (req, res) => {
+  try {
+    const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+
+    await restructure(req, res, (levels, levelId) => planDelete(levels, levelId, reassignTo));
   } catch (error) {
-    console.error('Error adding employee:', error);
+    console.error('Error deleting hierarchy level:', error);
     res.status(500).json({ message: error.message });
   }
 };
 
+// The import's rows from a JSON array, { levels, replace }, { csv, replace }
+// or a text/csv body with ?replace=true
+const readImport = (req) => {
+  const body = req.body;
+  const replace = req.query.replace === 'true' || body?.replace === true;
+
+  if (typeof body === 'string') {
+    return { ...rowsFromCsv(body), replace };
+  }
+  if (Array.isArray(body)) {
+    return { rows: rowsFromJson(body), errors: [], replace };
+  }
+  if (typeof body?.csv === 'string') {
+    return { ...rowsFromCsv(body.csv), replace };
+  }
+  if (Array.isArray(body?.levels)) {
+    return { rows: rowsFromJson(body.levels), errors: [], replace };
+  }
+  return {
+    rows: [],
+    errors: [{ row: null, field: '', message: 'Send the levels as a JSON array, { levels: [...] }, { csv: "..." } or a text/csv body' }],
+    replace
+  };
+};
+
+// Import levels as a whole: every row is checked first, errors are reported
+// with their row number, and nothing is saved unless the import is valid
 exports.bulkCreateHierarchyLevels = async (req, res) => {
   try {
-    const hierarchyLevels = req.body;
-
     if (req.user.role !== 'company_admin') {
       return res.status(403).json({ message: 'Only company admins can create hierarchy levels' });
     }
 
-    // Step 1: Create hierarchy levels without reportsTo field
-    const createdLevels = await HierarchyLevel.insertMany(hierarchyLevels.map(level => ({
-      company: req.user.company,
-      name: level.name,
-      level: level.level,
-      canAssignTasks: level.canAssignTasks,
-      permissions: level.permissions,
-      maxTasksPerDay: level.maxTasksPerDay,
-      departmentScope: level.departmentScope
-    })));
-
-    // Step 2: Update hierarchy levels with correct reportsTo ObjectId
-    for (const level of hierarchyLevels) {
-      if (level.reportsTo) {
-        const parentLevel = await HierarchyLevel.findOne({
-          company: req.user.company,
-          name: level.reportsTo
-        });
-
-        if (parentLevel) {
-          await HierarchyLevel.updateOne(
-            { company: req.user.company, name: level.name },
-            { reportsTo: parentLevel._id }
-          );
-        }
-      }
+    const { rows, errors: readErrors, replace } = readImport(req);
+    const { errors, plan } = readErrors.length > 0
+      ? { errors: readErrors }
+      : await validateImport(req.user.company, rows, { replace });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: `The import has ${errors.length} error(s); nothing was saved`,
+        errors
+      });
     }
 
-    res.status(201).json(createdLevels);
+    const result = await applyImport(req.user.company, plan);
+
+    const levels = await HierarchyLevel.find({ company: req.user.company })
+      .populate('reportsTo', 'name level')
+      .sort('level');
+
+    res.status(201).json({ replace, ...result, levels });
   } catch (error) {
-    console.error('Error creating hierarchy levels:', error);
+    console.error('Error importing hierarchy levels:', error);
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
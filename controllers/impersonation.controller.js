@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { createImpersonationSession, revokeSession } = require('../utils/sessionHelper');
+const { recordAudit, notifyImpersonationFinished } = require('../utils/auditLog');
+const { runAsSystem } = require('../utils/tenantContext');
+
+const DEFAULT_IMPERSONATION_MINUTES = 30;
+const MAX_IMPERSONATION_MINUTES = 60;
+const MIN_IMPERSONATION_MINUTES = 5;
+
+// Super admin starts a time-boxed session acting as another user
+exports.startImpersonation = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const durationMinutes = Math.min(
+      Math.max(parseInt(req.body.durationMinutes) || DEFAULT_IMPERSONATION_MINUTES, MIN_IMPERSONATION_MINUTES),
+      MAX_IMPERSONATION_MINUTES
+    );
+
+    if (req.impersonatedBy) {
+      return res.status(403).json({ message: 'Cannot start impersonation while impersonating' });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'Please provide a reason for impersonation' });
+    }
+
+    const target = await User.findById(req.params.id)
+      .select('-password')
+      .setOptions({ crossTenant: true });
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (target.role === 'super_admin') {
+      return res.status(403).json({ message: 'Super admins cannot be impersonated' });
+    }
+
+    if (!target.active || target.status === 'invited') {
+      return res.status(400).json({ message: 'Only active users can be impersonated' });
+    }
+
+    const { token, session, expiresAt } = await createImpersonationSession(
+      target,
+      req.user,
+      req,
+      durationMinutes
+    );
+
+    await recordAudit({
+      actor: req.user._id,
+      impersonatedUser: target._id,
+      company: target.company,
+      session: session._id,
+      action: 'IMPERSONATION_STARTED',
+      reason: reason.trim(),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      endsAt: expiresAt
+    });
+
+    res.status(201).json({
+      token,
+      expiresAt,
+      user: target
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// End the current impersonation session and notify the impersonated user
+exports.endImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonatedBy) {
+      return res.status(400).json({ message: 'Current session is not an impersonation session' });
+    }
+
+    await revokeSession(req.session._id, 'impersonation_ended');
+
+    await recordAudit({
+      actor: req.impersonatedBy,
+      impersonatedUser: req.user._id,
+      company: req.user.company,
+      session: req.session._id,
+      action: 'IMPERSONATION_ENDED',
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const startEntry = await AuditLog.findOne({
+      session: req.session._id,
+      action: 'IMPERSONATION_STARTED'
+    });
+    if (startEntry) {
+      await notifyImpersonationFinished(startEntry);
+    }
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Audit trail: super admins see everything, company admins their own company
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {};
+    const isSuperAdmin = req.user.role === 'super_admin';
+
+    if (isSuperAdmin) {
+      if (req.query.company) query.company = req.query.company;
+    } else {
+      query.company = req.user.company;
+    }
+
+    if (req.query.user) query.impersonatedUser = req.query.user;
+    if (req.query.action) query.action = req.query.action;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate({ path: 'impersonatedUser', select: 'name email', options: { crossTenant: isSuperAdmin } })
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    // Support staff belong to no company, so their names are looked up outside the tenant scope
+    await runAsSystem(() => AuditLog.populate(logs, { path: 'actor', select: 'name email' }));
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,295 @@
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Invitation = require('../models/Invitation');
+const { sendEmail } = require('../utils/emailService');
+const { generateToken, hashToken } = require('../utils/tokenHelper');
+const { createSession, signMfaToken } = require('../utils/sessionHelper');
+const { isMfaRequired } = require('./mfa.controller');
+const { isSsoOnly } = require('./auth.controller');
+const { recordLoginEvent } = require('../utils/loginHistory');
+const { runAsSystem } = require('../utils/tenantContext');
+const { loadCompanyStatus, COMPANY_SUSPENDED_RESPONSE } = require('../utils/companyStatus');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  setPassword,
+  sendPasswordErrors
+} = require('../utils/passwordPolicy');
+const { seatLimitError, sendQuotaError } = require('../utils/planLimits');
+const { getTaskAccess, placementError } = require('../utils/hierarchyHelper');
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+
+// Issue a fresh single-use token for the invitation and email it.
+// Any previously sent link stops working because only the latest hash is kept.
+const sendInvitation = async (invitation, employee, invitedBy) => {
+  const token = generateToken();
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  const company = await Company.findById(invitation.company).select('name');
+
+  const result = await sendEmail({
+    to: employee.email,
+    type: 'INVITATION',
+    data: {
+      name: employee.name,
+      companyName: company?.name,
+      invitedByName: invitedBy.name,
+      token,
+      expiresAt: invitation.expiresAt
+    },
+    company: invitation.company
+  });
+
+  return result.success;
+};
+
+// Admins see every invitation; others with canManageUsers only those of
+// people they manage
+const managedInvitations = async (req) => {
+  if (req.user.role === 'company_admin') return {};
+  return { user: { $in: [...await getTaskAccess(req).managedIds()] } };
+};
+
+// Add employee by company admin: creates a pending user and emails an invitation
+exports.addEmployee = async (req, res) => {
+  try {
+    const { email, name, phone, hierarchyLevel, reportsTo } = req.body;
+
+    if (!email || !name) {
+      return res.status(400).json({ message: 'Please provide name and email' });
+    }
+
+    // Emails are unique across all companies
+    const existingUser = await runAsSystem(() => User.exists({ email }));
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const placement = await placementError(req, { hierarchyLevel, reportsTo });
+    if (placement) {
+      return res.status(403).json({ message: placement });
+    }
+
+    // Pending invites hold a seat too
+    const seatError = await seatLimitError(req.user.company);
+    if (seatError) {
+      return sendQuotaError(res, seatError);
+    }
+
+    // Create pending employee without a password
+    const employee = await User.create({
+      name,
+      email,
+      phone,
+      role: 'employee',
+      status: 'invited',
+      company: req.user.company,
+      hierarchyLevel,
+      reportsTo: reportsTo || null // Ensure reportsTo is set to null if not provided
+    });
+
+    const invitation = new Invitation({
+      company: req.user.company,
+      user: employee._id,
+      email: employee.email,
+      invitedBy: req.user._id
+    });
+
+    const emailSent = await sendInvitation(invitation, employee, req.user);
+
+    res.status(201).json({
+      message: emailSent
+        ? 'Employee invited successfully'
+        : 'Employee created but the invitation email could not be sent',
+      employee: employee.toObject(),
+      invitation: {
+        _id: invitation._id,
+        expiresAt: invitation.expiresAt,
+        emailSent
+      }
+    });
+  } catch (error) {
+    console.error('Error adding employee:', error);
+    res.status(500).json({
+      message: 'Server error during employee creation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// List invitations for the admin's company
+exports.getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { company: req.user.company, ...await managedInvitations(req) };
+
+    if (status === 'pending') {
+      query.acceptedAt = null;
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    } else if (status === 'expired') {
+      query.acceptedAt = null;
+      query.revokedAt = null;
+      query.expiresAt = { $lte: new Date() };
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('user', 'name email phone hierarchyLevel')
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Resend an invitation with a new link and expiry
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      ...await managedInvitations(req)
+    }).populate('user', 'name email status');
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt || invitation.user?.status !== 'invited') {
+      return res.status(400).json({ message: 'Only pending invitations can be resent' });
+    }
+
+    const emailSent = await sendInvitation(invitation, invitation.user, req.user);
+    if (!emailSent) {
+      return res.status(502).json({ message: 'Invitation email could not be sent' });
+    }
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke a pending invitation and remove the pending user
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      ...await managedInvitations(req)
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: 'Only pending invitations can be revoked' });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await User.deleteOne({ _id: invitation.user, status: 'invited' });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Employee sets their password with the emailed token and is signed in, or
+// continues to MFA setup when their company requires it
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide token and password' });
+    }
+
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const user = await User.findOne({ _id: invitation.user, status: 'invited' });
+    if (!user) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    if (await loadCompanyStatus(user.company) === 'suspended') {
+      return res.status(403).json(COMPANY_SUSPENDED_RESPONSE);
+    }
+
+    // Invitees of SSO-only companies get no local password; signing in with
+    // SSO activates their account instead
+    const company = await Company.findById(user.company).select('sso.enabled sso.disablePasswordLogin');
+    if (isSsoOnly({ role: user.role, company })) {
+      return res.status(403).json({
+        message: 'Password login is disabled for your company. Please sign in with SSO.',
+        code: 'SSO_REQUIRED',
+        ssoUrl: `/api/auth/sso/${company._id}`
+      });
+    }
+
+    const policy = await getPasswordPolicy(user.company);
+    const passwordErrors = validatePassword(password, policy, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
+
+    await setPassword(user, password, policy);
+    user.status = 'active';
+    await user.save();
+
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    // Companies requiring MFA get it set up before the first session, as at login
+    const mfaSetupRequired = !user.mfa?.enabled && await isMfaRequired(user);
+    if (user.mfa?.enabled || mfaSetupRequired) {
+      return res.json({
+        mfaRequired: true,
+        mfaSetupRequired,
+        mfaToken: signMfaToken(user)
+      });
+    }
+
+    const tokens = await createSession(user, req);
+    await recordLoginEvent(req, { user, success: true, method: 'invite' });
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+
+    res.json({
+      ...tokens,
+      user: userResponse
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      message: 'Server error while accepting invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
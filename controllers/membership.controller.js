@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const { runAsSystem } = require('../utils/tenantContext');
+const { findCompanyMember } = require('../utils/membershipHelper');
+const { resolveDepartments } = require('../utils/departmentHelper');
+const { revokeMemberSessions } = require('../utils/sessionHelper');
+const { seatLimitError, sendQuotaError } = require('../utils/planLimits');
+const { sendEmail } = require('../utils/emailService');
+const { generateToken, hashToken } = require('../utils/tokenHelper');
+
+const ROLES = ['company_admin', 'employee'];
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+
+// Sent whatever the email turns out to be, so the response does not tell
+// whether it has an account
+const INVITE_SENT_RESPONSE = {
+  message: 'If an account exists for this email, an invitation to join your company has been sent'
+};
+
+// Invites that have not been accepted are not the company's to see or change
+const findCompanyMembership = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Membership.findOne({ _id: req.params.id, company: req.user.company, pending: { $ne: true } });
+};
+
+// Issue a fresh token for a pending membership and email it; earlier links
+// stop working
+const sendMembershipInvitation = async (membership, user, invitedBy) => {
+  const token = generateToken();
+  membership.inviteTokenHash = hashToken(token);
+  membership.inviteExpiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+  await membership.save();
+
+  const company = await Company.findById(membership.company).select('name');
+
+  await sendEmail({
+    to: user.email,
+    type: 'MEMBERSHIP_INVITATION',
+    data: {
+      name: user.name,
+      companyName: company?.name,
+      invitedByName: invitedBy.name,
+      token,
+      expiresAt: membership.inviteExpiresAt
+    },
+    company: membership.company
+  });
+};
+
+// Check the company-specific fields of a membership; returns the values to
+// store or an error message
+const resolveMemberFields = async (companyId, userId, { hierarchyLevel, reportsTo, departments }) => {
+  const fields = {};
+
+  if (hierarchyLevel !== undefined) {
+    if (hierarchyLevel === null) {
+      fields.hierarchyLevel = null;
+    } else {
+      const level = mongoose.isValidObjectId(hierarchyLevel)
+        && await HierarchyLevel.exists({ _id: hierarchyLevel, company: companyId });
+      if (!level) {
+        return { error: 'Hierarchy level must belong to your company' };
+      }
+      fields.hierarchyLevel = hierarchyLevel;
+    }
+  }
+
+  if (reportsTo !== undefined) {
+    if (reportsTo === null) {
+      fields.reportsTo = null;
+    } else {
+      if (userId && reportsTo.toString() === userId.toString()) {
+        return { error: 'A member cannot report to themselves' };
+      }
+      if (!await findCompanyMember(companyId, reportsTo)) {
+        return { error: 'Manager must be a member of your company' };
+      }
+      fields.reportsTo = reportsTo;
+    }
+  }
+
+  if (departments !== undefined) {
+    const { ids, unknown } = await resolveDepartments(companyId, departments);
+    if (unknown.length > 0) {
+      return { error: `Unknown departments: ${unknown.join(', ')}` };
+    }
+    fields.departments = ids;
+  }
+
+  return { fields };
+};
+
+const populateMembership = async (membership) => {
+  await membership.populate([
+    { path: 'hierarchyLevel', select: 'name level' },
+    { path: 'departments', select: 'name' }
+  ]);
+  // Guests' accounts live in their own company
+  await runAsSystem(() => membership.populate('user', 'name email avatar'));
+  return membership;
+};
+
+// Members who joined from other companies
+exports.getMemberships = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ company: req.user.company, pending: { $ne: true } })
+      .populate('hierarchyLevel', 'name level')
+      .populate('departments', 'name')
+      .sort('-createdAt')
+      .lean();
+
+    // Guests' accounts live in their own company
+    const users = await runAsSystem(() => User.find({
+      _id: { $in: memberships.map(membership => membership.user) }
+    }).select('name email avatar').lean());
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json(memberships.map(membership => ({
+      ...membership,
+      user: userById.get(membership.user.toString()) || null
+    })));
+  } catch (error) {
+    console.error('Error fetching memberships:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Invite an existing user of another company to join this one. They only
+// become a member once they accept, and the response is the same whether or
+// not the email belongs to someone who can be invited.
+exports.addMembership = async (req, res) => {
+  try {
+    const { email, role = 'employee', hierarchyLevel, reportsTo, departments } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide the email of an existing user' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (role === 'employee' && !hierarchyLevel) {
+      return res.status(400).json({ message: 'Please provide a hierarchy level for employees' });
+    }
+
+    // Emails are unique across all companies, so this is the user's one identity
+    const user = await runAsSystem(() => User.findOne({ email: email.toLowerCase() }));
+
+    const { fields, error } = await resolveMemberFields(req.user.company, user?._id, {
+      hierarchyLevel,
+      reportsTo,
+      departments
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const seatError = await seatLimitError(req.user.company);
+    if (seatError) {
+      return sendQuotaError(res, seatError);
+    }
+
+    const canInvite = user
+      && user.status !== 'invited'
+      && user.active
+      && user.role !== 'super_admin'
+      && user.company?.toString() !== req.user.company.toString();
+    if (!canInvite) {
+      return res.status(202).json(INVITE_SENT_RESPONSE);
+    }
+
+    // Members are managed from the members list; only pending invites are resent
+    let membership = await Membership.findOne({ user: user._id, company: req.user.company });
+    if (membership && !membership.pending) {
+      return res.status(202).json(INVITE_SENT_RESPONSE);
+    }
+
+    if (!membership) {
+      membership = new Membership({
+        user: user._id,
+        company: req.user.company,
+        active: false,
+        pending: true
+      });
+    }
+    membership.set({ role, addedBy: req.user._id, ...fields });
+
+    await sendMembershipInvitation(membership, user, req.user);
+
+    res.status(202).json(INVITE_SENT_RESPONSE);
+  } catch (error) {
+    console.error('Error adding membership:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The invited user joins the company with the emailed token
+exports.acceptMembership = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Please provide the invitation token' });
+    }
+
+    const membership = await runAsSystem(() => Membership.findOne({
+      user: req.user._id,
+      pending: true,
+      inviteTokenHash: hashToken(token),
+      inviteExpiresAt: { $gt: new Date() }
+    }));
+    if (!membership) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const seatError = await runAsSystem(() => seatLimitError(membership.company));
+    if (seatError) {
+      return sendQuotaError(res, seatError);
+    }
+
+    membership.set({
+      pending: false,
+      active: true,
+      acceptedAt: new Date(),
+      inviteTokenHash: undefined,
+      inviteExpiresAt: undefined
+    });
+    await runAsSystem(() => membership.save());
+
+    await runAsSystem(() => membership.populate('company', 'name'));
+    res.json({ message: `You have joined ${membership.company.name}`, company: membership.company });
+  } catch (error) {
+    console.error('Error accepting membership:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Changing a member's role or access signs them out of this company
+exports.updateMembership = async (req, res) => {
+  try {
+    const { role, hierarchyLevel, reportsTo, departments, active } = req.body;
+
+    const membership = await findCompanyMembership(req);
+    if (!membership) {
+      return res.status(404).json({ message: 'Membership not found' });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const { fields, error } = await resolveMemberFields(req.user.company, membership.user, {
+      hierarchyLevel,
+      reportsTo,
+      departments
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Reactivating a member takes a seat again
+    if (active === true && !membership.active) {
+      const seatError = await seatLimitError(req.user.company);
+      if (seatError) {
+        return sendQuotaError(res, seatError);
+      }
+    }
+
+    const accessChanged = (role !== undefined && role !== membership.role)
+      || (active !== undefined && Boolean(active) !== membership.active);
+
+    if (role !== undefined) membership.role = role;
+    if (active !== undefined) membership.active = Boolean(active);
+    membership.set(fields);
+
+    await membership.save();
+
+    if (accessChanged) {
+      await revokeMemberSessions(membership.user, req.user.company, 'membership_changed');
+    }
+
+    res.json(await populateMembership(membership));
+  } catch (error) {
+    console.error('Error updating membership:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The user keeps their own account and company; only access to this one ends
+exports.removeMembership = async (req, res) => {
+  try {
+    const membership = await findCompanyMembership(req);
+    if (!membership) {
+      return res.status(404).json({ message: 'Membership not found' });
+    }
+
+    await membership.deleteOne();
+    await revokeMemberSessions(membership.user, req.user.company, 'membership_removed');
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing membership:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
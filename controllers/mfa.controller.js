@@ -0,0 +1,275 @@
+const User = require('../models/User');
+const Company = require('../models/Company');
+const bcrypt = require('bcryptjs');
+const { createSession, verifyMfaToken } = require('../utils/sessionHelper');
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require('../utils/loginGuard');
+const { recordLoginEvent } = require('../utils/loginHistory');
+const { getSessionScope } = require('../utils/passwordPolicy');
+const { loadCompanyStatus, COMPANY_SUSPENDED_RESPONSE } = require('../utils/companyStatus');
+const {
+  generateSecret,
+  verifyTotp,
+  buildProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totpHelper');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Workzen';
+const MFA_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodeHashes +mfa.lastUsedStep';
+
+// Super admins always need a second factor; everyone else when their company requires it
+exports.isMfaRequired = async (user) => {
+  if (user.role === 'super_admin') return true;
+
+  const companyId = user.company?._id || user.company;
+  if (!companyId) return false;
+
+  const company = await Company.findById(companyId).select('requireMfa');
+  return Boolean(company?.requireMfa);
+};
+
+// Session options for finishing a login. An expired password restricts
+// sessions signed in with it; SSO sign-ins never used the password. SSO only
+// signs in users of the provider's own company.
+const loginSessionOptions = async (user, method) => (method === 'sso'
+  ? { ssoCompany: user.company }
+  : { scope: await getSessionScope(user) });
+
+// Strip password and MFA secrets before a user goes into a response
+const toUserResponse = (user) => {
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  if (userResponse.mfa) {
+    delete userResponse.mfa.secret;
+    delete userResponse.mfa.pendingSecret;
+    delete userResponse.mfa.recoveryCodeHashes;
+    delete userResponse.mfa.lastUsedStep;
+  }
+  return userResponse;
+};
+
+// Check a TOTP code or a recovery code against an enrolled user.
+// Marks the code as used on the document; the caller saves it.
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.mfa.secret, code, user.mfa.lastUsedStep ?? -1);
+    if (step === null) return false;
+    user.mfa.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const index = user.mfa.recoveryCodeHashes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) return false;
+    user.mfa.recoveryCodeHashes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Second step of login: exchange the mfaToken plus a code for a session
+exports.verifyMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide mfaToken and a code or recovery code' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'MFA token is invalid or expired' });
+    }
+
+    const user = await User.findById(decoded.id).select(MFA_FIELDS);
+    if (!user || !user.mfa?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // The user may have been deactivated since the password step
+    if (!user.active) {
+      return res.status(401).json({ message: 'Your account has been deactivated' });
+    }
+
+    // The company may have been suspended since the password step
+    if (await loadCompanyStatus(user.company) === 'suspended') {
+      return res.status(403).json(COMPANY_SUSPENDED_RESPONSE);
+    }
+
+    // Codes are short, so wrong guesses count towards the same lockout as passwords
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      await recordLoginEvent(req, { user, success: false, method: 'mfa', reason: 'throttled' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(user.email, req.ip);
+      await recordLoginEvent(req, { user, success: false, method: 'mfa', reason: 'invalid_code' });
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.save();
+
+    const options = await loginSessionOptions(user, decoded.method);
+    const { scope } = options;
+    const tokens = await createSession(user, req, options);
+    await clearFailedLogins(user.email);
+    await recordLoginEvent(req, { user, success: true, method: 'mfa' });
+
+    await user.populate('company', 'name');
+    await user.populate('hierarchyLevel');
+
+    res.json({
+      ...tokens,
+      user: toUserResponse(user),
+      recoveryCodesRemaining: user.mfa.recoveryCodeHashes.length,
+      ...(scope && { passwordExpired: true })
+    });
+  } catch (error) {
+    console.error('MFA verification error:', error);
+    res.status(500).json({ message: 'Server error during two-factor verification' });
+  }
+};
+
+// Start enrollment: generate a secret and the provisioning URI for the QR code
+exports.setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(MFA_FIELDS);
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildProvisioningUri({
+        secret,
+        accountName: user.email,
+        issuer: MFA_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+};
+
+// Finish enrollment by proving the authenticator app produces valid codes.
+// When enrolling during login this also completes the login.
+exports.enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(MFA_FIELDS);
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.mfa.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    user.mfa.lastUsedStep = step;
+    user.mfa.recoveryCodeHashes = hashes;
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    };
+
+    if (req.mfaLogin) {
+      const options = await loginSessionOptions(user, req.mfaLogin.method);
+      const { scope } = options;
+      Object.assign(response, await createSession(user, req, options));
+      await clearFailedLogins(user.email);
+      if (scope) response.passwordExpired = true;
+      await recordLoginEvent(req, { user, success: true, method: 'mfa' });
+      await user.populate('company', 'name');
+      await user.populate('hierarchyLevel');
+      response.user = toUserResponse(user);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+};
+
+// Turn MFA off; needs the password and a current code
+exports.disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${MFA_FIELDS}`);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await exports.isMfaRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your account' });
+    }
+
+    const isMatch = password && await bcrypt.compare(password, user.password);
+    if (!isMatch || !consumeSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.secret = undefined;
+    user.mfa.recoveryCodeHashes = [];
+    user.mfa.lastUsedStep = undefined;
+    user.mfa.enabledAt = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+};
+
+// Replace all recovery codes; the old ones stop working
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(MFA_FIELDS);
+
+    if (!user.mfa?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!consumeSecondFactor(user, { code })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa.recoveryCodeHashes = hashes;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ message: 'Server error while regenerating recovery codes' });
+  }
+};
@@ -0,0 +1,162 @@
+const Plan = require('../models/Plan');
+const Company = require('../models/Company');
+const { LIMIT_FIELDS } = require('../utils/planLimits');
+
+// Validate limits from the request; null or omitted means unlimited
+const normalizeLimits = (limits = {}) => {
+  const normalized = {};
+  const errors = [];
+
+  LIMIT_FIELDS.forEach(field => {
+    const value = limits[field];
+    if (value === undefined || value === null) {
+      normalized[field] = undefined;
+      return;
+    }
+
+    const min = field === 'storageBytes' ? 0 : 1;
+    if (!Number.isInteger(value) || value < min) {
+      errors.push({
+        field: `limits.${field}`,
+        code: 'invalid_limit',
+        message: `${field} must be a whole number of at least ${min}, or null for unlimited`
+      });
+      return;
+    }
+    normalized[field] = value;
+  });
+
+  return { limits: normalized, errors };
+};
+
+const invalidFeatures = (features) => features.filter(feature => !Plan.FEATURES.includes(feature));
+
+// Only one plan is the default for new companies
+const clearOtherDefaults = (planId) =>
+  Plan.updateMany({ _id: { $ne: planId }, isDefault: true }, { isDefault: false });
+
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find().sort('name');
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.createPlan = async (req, res) => {
+  try {
+    const { name, description, features = [], isDefault = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Please provide a plan name' });
+    }
+
+    const { limits, errors } = normalizeLimits(req.body.limits);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid plan limits', errors });
+    }
+
+    if (!Array.isArray(features) || invalidFeatures(features).length > 0) {
+      return res.status(400).json({
+        message: 'Invalid features',
+        validFeatures: Plan.FEATURES
+      });
+    }
+
+    if (await Plan.exists({ name })) {
+      return res.status(400).json({ message: 'A plan with this name already exists' });
+    }
+
+    const plan = await Plan.create({
+      name,
+      description,
+      limits,
+      features: [...new Set(features)],
+      isDefault: Boolean(isDefault)
+    });
+
+    if (plan.isDefault) {
+      await clearOtherDefaults(plan._id);
+    }
+
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Changes apply to every company on the plan straight away
+exports.updatePlan = async (req, res) => {
+  try {
+    const { name, description, features, isDefault, active } = req.body;
+
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    if (req.body.limits !== undefined) {
+      const { limits, errors } = normalizeLimits({ ...plan.toObject().limits, ...req.body.limits });
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid plan limits', errors });
+      }
+      plan.limits = limits;
+    }
+
+    if (features !== undefined) {
+      if (!Array.isArray(features) || invalidFeatures(features).length > 0) {
+        return res.status(400).json({
+          message: 'Invalid features',
+          validFeatures: Plan.FEATURES
+        });
+      }
+      plan.features = [...new Set(features)];
+    }
+
+    if (name !== undefined) {
+      if (await Plan.exists({ name, _id: { $ne: plan._id } })) {
+        return res.status(400).json({ message: 'A plan with this name already exists' });
+      }
+      plan.name = name;
+    }
+    if (description !== undefined) plan.description = description;
+    if (isDefault !== undefined) plan.isDefault = Boolean(isDefault);
+    // Retired plans stay on their companies but cannot be assigned again
+    if (active !== undefined) plan.active = Boolean(active);
+
+    await plan.save();
+
+    if (plan.isDefault) {
+      await clearOtherDefaults(plan._id);
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.deletePlan = async (req, res) => {
+  try {
+    const companies = await Company.countDocuments({ plan: req.params.id });
+    if (companies > 0) {
+      return res.status(400).json({
+        message: `Plan is used by ${companies} companies. Move them to another plan or retire it instead.`
+      });
+    }
+
+    const plan = await Plan.findByIdAndDelete(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
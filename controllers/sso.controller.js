@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const SsoState = require('../models/SsoState');
+const { createSession, signMfaToken } = require('../utils/sessionHelper');
+const { isMfaRequired } = require('./mfa.controller');
+const { recordLoginEvent } = require('../utils/loginHistory');
+const { getCompanyStatus } = require('../utils/companyStatus');
+const { featureError, sendQuotaError } = require('../utils/planLimits');
+const { frontendUrl } = require('../utils/branding');
+const {
+  isAllowedIssuer,
+  discover,
+  createPkcePair,
+  randomValue,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} = require('../utils/oidcClient');
+
+const SSO_STATE_TTL_MINUTES = 10;
+
+// The callback URL comes from configuration only; the Host header is chosen
+// by the client and must not decide where the provider sends the code
+const callbackUrl = (companyId) => {
+  const base = process.env.SSO_CALLBACK_BASE_URL;
+  if (!base) return null;
+  return `${base.replace(/\/$/, '')}/api/auth/sso/${companyId}/callback`;
+};
+
+// Errors go back to the frontend login page rather than rendering JSON in the
+// browser, on the company's own domain once the company is known
+const redirectWithError = (res, code, company) =>
+  res.redirect(`${frontendUrl(company?.branding)}/login?ssoError=${encodeURIComponent(code)}`);
+
+const canManageCompany = (user, companyId) =>
+  user.role === 'super_admin' || user.company?.toString() === companyId;
+
+// Start the authorization code + PKCE flow for a company
+exports.startSso = async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (!mongoose.isValidObjectId(companyId)) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company || !company.sso?.enabled) {
+      return res.status(404).json({ message: 'Single sign-on is not enabled for this company' });
+    }
+
+    const redirectUri = callbackUrl(companyId);
+    if (!redirectUri) {
+      console.error('SSO start error: SSO_CALLBACK_BASE_URL is not set');
+      return res.status(503).json({ message: 'Single sign-on is not configured on this server' });
+    }
+
+    // Issuers saved while plain http was allowed are not used where it is not
+    if (!isAllowedIssuer(company.sso.issuer)) {
+      console.error(`SSO start error: issuer ${company.sso.issuer} is not an allowed https URL`);
+      return res.status(503).json({ message: 'Single sign-on is not configured on this server' });
+    }
+
+    const config = await discover(company.sso.issuer);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const state = randomValue();
+    const nonce = randomValue();
+
+    await SsoState.create({
+      state,
+      company: company._id,
+      nonce,
+      codeVerifier,
+      redirectUri,
+      expiresAt: new Date(Date.now() + SSO_STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.redirect(buildAuthorizationUrl(config, {
+      clientId: company.sso.clientId,
+      redirectUri,
+      state,
+      nonce,
+      codeChallenge
+    }));
+  } catch (error) {
+    console.error('SSO start error:', error);
+    res.status(502).json({ message: 'Could not reach the identity provider' });
+  }
+};
+
+// Provider redirects back here with the authorization code
+exports.ssoCallback = async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return redirectWithError(res, error);
+    }
+
+    if (!code || !state) {
+      return redirectWithError(res, 'invalid_request');
+    }
+
+    // Single use: the state is removed as soon as it is read
+    const ssoState = await SsoState.findOneAndDelete({
+      state,
+      company: companyId,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!ssoState) {
+      return redirectWithError(res, 'invalid_state');
+    }
+
+    const company = await Company.findById(companyId).select('+sso.clientSecret');
+    if (!company || !company.sso?.enabled || !isAllowedIssuer(company.sso.issuer)) {
+      return redirectWithError(res, 'sso_disabled');
+    }
+
+    if (getCompanyStatus(company) === 'suspended') {
+      return redirectWithError(res, 'company_suspended', company);
+    }
+
+    const config = await discover(company.sso.issuer);
+    const tokens = await exchangeCode(config, {
+      code,
+      redirectUri: ssoState.redirectUri,
+      clientId: company.sso.clientId,
+      clientSecret: company.sso.clientSecret,
+      codeVerifier: ssoState.codeVerifier
+    });
+
+    const claims = await verifyIdToken(tokens.id_token, config, {
+      clientId: company.sso.clientId,
+      nonce: ssoState.nonce
+    });
+
+    const email = claims.email?.toLowerCase();
+    if (!email || claims.email_verified === false) {
+      return redirectWithError(res, 'email_not_verified', company);
+    }
+
+    const domain = email.split('@')[1];
+    if (company.sso.allowedDomains.length > 0 && !company.sso.allowedDomains.includes(domain)) {
+      await recordLoginEvent(req, { email, success: false, method: 'sso', reason: 'domain_not_allowed' });
+      return redirectWithError(res, 'domain_not_allowed', company);
+    }
+
+    // Just-in-time linking: the account must already exist in this company
+    const user = await User.findOne({ email, company: company._id });
+    if (!user || !user.active) {
+      await recordLoginEvent(req, { user, email, success: false, method: 'sso', reason: 'no_account' });
+      return redirectWithError(res, 'no_account', company);
+    }
+
+    if (user.ssoSubject && user.ssoSubject !== claims.sub) {
+      await recordLoginEvent(req, { user, success: false, method: 'sso', reason: 'subject_mismatch' });
+      return redirectWithError(res, 'account_mismatch', company);
+    }
+
+    user.ssoSubject = claims.sub;
+    // The identity provider has verified the email, so a pending invite is fulfilled
+    if (user.status === 'invited') {
+      user.status = 'active';
+      await Invitation.updateMany(
+        { company: company._id, user: user._id, acceptedAt: null, revokedAt: null },
+        { acceptedAt: new Date() }
+      );
+    }
+    await user.save();
+
+    // Tokens travel in the fragment so they never reach server logs
+    const redirectWith = (params) => res.redirect(
+      `${frontendUrl(company.branding)}/sso/callback#${new URLSearchParams(params).toString()}`
+    );
+
+    // SSO replaces the password, not the second factor: enrolled users and
+    // companies that require MFA finish through the same step as password login
+    const mfaSetupRequired = !user.mfa?.enabled && await isMfaRequired(user);
+    if (user.mfa?.enabled || mfaSetupRequired) {
+      return redirectWith({
+        mfaRequired: 'true',
+        mfaSetupRequired: String(mfaSetupRequired),
+        mfaToken: signMfaToken(user, { method: 'sso' })
+      });
+    }
+
+    const session = await createSession(user, req, { ssoCompany: company._id });
+    await recordLoginEvent(req, { user, success: true, method: 'sso' });
+
+    redirectWith({
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithError(res, 'sso_failed');
+  }
+};
+
+exports.getSsoConfig = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to view this company' });
+    }
+
+    const company = await Company.findById(req.params.id).select('sso');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    res.json(company.toObject().sso);
+  } catch (error) {
+    console.error('Error fetching SSO config:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.updateSsoConfig = async (req, res) => {
+  try {
+    if (!canManageCompany(req.user, req.params.id)) {
+      return res.status(403).json({ message: 'Not authorized to update this company' });
+    }
+
+    const { enabled, issuer, clientId, clientSecret, allowedDomains, disablePasswordLogin } = req.body;
+
+    const company = await Company.findById(req.params.id).select('+sso.clientSecret');
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (issuer !== undefined) company.sso.issuer = issuer.replace(/\/$/, '');
+    if (clientId !== undefined) company.sso.clientId = clientId;
+    if (clientSecret !== undefined) company.sso.clientSecret = clientSecret;
+    if (Array.isArray(allowedDomains)) company.sso.allowedDomains = allowedDomains;
+    if (disablePasswordLogin !== undefined) company.sso.disablePasswordLogin = Boolean(disablePasswordLogin);
+    if (enabled !== undefined) company.sso.enabled = Boolean(enabled);
+
+    // Turning SSO on needs a plan that includes it
+    if (enabled !== undefined && company.sso.enabled) {
+      const planError = await featureError(company._id, 'sso');
+      if (planError) {
+        return sendQuotaError(res, planError);
+      }
+    }
+
+    if (company.sso.enabled) {
+      if (!company.sso.issuer || !company.sso.clientId || !company.sso.clientSecret) {
+        return res.status(400).json({ message: 'issuer, clientId and clientSecret are required to enable SSO' });
+      }
+
+      if (!isAllowedIssuer(company.sso.issuer)) {
+        return res.status(400).json({ message: 'Issuer must be an https URL' });
+      }
+
+      try {
+        await discover(company.sso.issuer);
+      } catch (discoveryError) {
+        return res.status(400).json({
+          message: 'Could not load the OpenID configuration from the issuer',
+          error: discoveryError.message
+        });
+      }
+    }
+
+    await company.save();
+
+    const { sso } = company.toObject();
+    delete sso.clientSecret;
+    res.json(sso);
+  } catch (error) {
+    console.error('Error updating SSO config:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,13 +1,28 @@
 const Task = require('../models/Task');
 const User = require('../models/User');
 const HierarchyLevel = require('../models/HierarchyLevel');
+const Membership = require('../models/Membership');
 const Notification = require('../models/Notification');
 const { io } = require('../socket');
 const { createNotification } = require('./notification.controller');
-const { canAssignTaskTo } = require('../utils/hierarchyHelper');
+const { getTaskAccess } = require('../utils/hierarchyHelper');
 const mongoose = require('mongoose');
 const { sendEmail } = require('../utils/emailService');
 const NotificationHelper = require('../utils/notificationHelper');
+const { getCompanySettings, dayBounds } = require('../utils/companyCalendar');
+const { findDepartment } = require('../utils/departmentHelper');
+const { findCompanyMember } = require('../utils/membershipHelper');
+const { deleteStoredFiles } = require('../utils/planLimits');
+const {
+  getNewTaskWorkflow,
+  getTaskWorkflow,
+  transitionError,
+  completionStatus,
+  isFinalStatus,
+  allowedTransitions,
+  completedAtFor,
+  progressFilters
+} = require('../utils/taskWorkflow');
 
 // Add a helper function for error handling
 const handleError = (res, error, defaultMessage) => {
@@ -35,6 +50,26 @@ const handleError = (res, error, defaultMessage) => {
   });
 };
 
+// History entry for the acting user; requests made with an API key are
+// also attributed to that key
+// Every uploaded file a task holds: its own attachments and those of its
+// updates, reports and completion submission
+const taskFilePaths = (task) => [
+  ...task.attachments,
+  ...task.updates.flatMap(update => update.attachments),
+  ...task.reports.flatMap(report => report.attachments),
+  ...(task.completionSubmission?.attachments || [])
+].map(attachment => attachment.path);
+
+const historyEntry = (req, action, extra = {}) => ({
+  action,
+  performedBy: req.user.id,
+  ...(req.apiKey && { apiKey: req.apiKey._id }),
+  ...(req.impersonatedBy && { impersonatedBy: req.impersonatedBy }),
+  timestamp: new Date(),
+  ...extra
+});
+
 exports.createTask = async (req, res) => {
   try {
     const {
@@ -57,9 +92,21 @@ exports.createTask = async (req, res) => {
       });
     }
 
-    // Get the assigner's and assignee's hierarchy levels
-    const assigner = await User.findById(req.user.id).populate('hierarchyLevel');
-    const assignee = await User.findById(assignedTo).populate('hierarchyLevel');
+    // New tasks start in the initial status of their category's workflow
+    const { workflow, error: categoryError } = await getNewTaskWorkflow(req.user.company, category);
+    if (categoryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: categoryError
+      });
+    }
+
+    // Get the assigner's and assignee's hierarchy levels; either may belong
+    // to this company through a membership
+    const assigner = await findCompanyMember(req.user.company, req.user.id);
+    const assignee = await findCompanyMember(req.user.company, assignedTo);
+    await assigner?.populate('hierarchyLevel');
+    await assignee?.populate('hierarchyLevel');
 
     if (!assigner || !assignee) {
       return res.status(404).json({
@@ -75,25 +122,26 @@ exports.createTask = async (req, res) => {
       });
     }
 
-    // Check if assigner can assign to assignee
-    const canAssign = await canAssignTaskTo(
-      assigner.hierarchyLevel._id,
-      assignee.hierarchyLevel._id
-    );
-
-    if (!canAssign) {
+    // Check if assigner can assign to assignee under the company's mode
+    const taskAccess = getTaskAccess(req);
+    if (!await taskAccess.canAssignTo(assignee._id)) {
+      const { mode } = await taskAccess.settings();
       return res.status(403).json({ 
         status: 'error',
-        message: 'You cannot assign tasks to employees at the same or higher level' 
+        message: mode === 'reporting_line'
+          ? 'You can only assign tasks to people in your reporting line'
+          : 'You cannot assign tasks to employees at the same or higher level' 
       });
     }
 
-    // Check daily task limit for assignee
+    // Check daily task limit for assignee; "today" is the company's local day
+    const settings = await getCompanySettings(req.user.company);
+    const today = dayBounds(new Date(), settings.timezone);
     const todayTasks = await Task.countDocuments({
       assignedTo,
       createdAt: {
-        $gte: new Date().setHours(0, 0, 0, 0),
-        $lt: new Date().setHours(23, 59, 59, 999)
+        $gte: today.start,
+        $lt: today.end
       }
     });
 
@@ -117,12 +165,10 @@ exports.createTask = async (req, res) => {
       dueDate,
       priority: priority || 'medium',
       category,
+      status: workflow.initialStatus,
+      completedAt: completedAtFor(workflow, workflow.initialStatus),
       estimatedHours: estimatedHours || 0,
-      history: [{
-        action: 'TASK_CREATED',
-        performedBy: req.user.id,
-        newStatus: 'pending'
-      }]
+      history: [historyEntry(req, 'TASK_CREATED', { newStatus: workflow.initialStatus })]
     };
 
     // Only add subtasks and reviewers if they exist and are valid
@@ -166,7 +212,8 @@ exports.createTask = async (req, res) => {
         await sendEmail({
           to: assignee.email,
           type: 'TASK_ASSIGNED',
-          data: task
+          data: task,
+          company: task.company
         });
       } else {
         console.warn('Cannot send email: Assignee email is missing');
@@ -230,43 +277,62 @@ exports.updateTaskStatus = async (req, res) => {
     const { status } = req.body;
     const taskId = req.params.id;
 
-    // Add validation for status
-    const validStatuses = ['pending', 'in_progress', 'completed'];
-    if (!validStatuses.includes(status)) {
+    if (!status) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid status value. Must be one of: pending, in_progress, completed'
+        message: 'Please provide a status'
       });
     }
 
     // Convert IDs
     const userId = new mongoose.Types.ObjectId(req.user.id);
     const companyId = new mongoose.Types.ObjectId(req.user.company);
-
-    const task = await Task.findOneAndUpdate({ 
+    const filter = {
       _id: taskId,
       company: companyId,
       $or: [
         { assignedTo: userId },
         { assignedBy: userId }
       ]
+    };
+
+    const currentTask = await Task.findOne(filter).select('company category status completedAt');
+    if (!currentTask) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found or access denied'
+      });
+    }
+
+    // The category's workflow decides which statuses can follow the current one
+    const workflow = await getTaskWorkflow(currentTask);
+    const statusError = transitionError(workflow, currentTask.status, status);
+    if (statusError) {
+      return res.status(400).json({
+        status: 'error',
+        ...statusError
+      });
+    }
+
+    // Only apply the change if nobody moved the task in the meantime
+    const task = await Task.findOneAndUpdate({
+      ...filter,
+      status: currentTask.status
     }, {
       $set: {
         status: status,
-        'history.$push': {
-          action: 'STATUS_UPDATED',
-          performedBy: userId,
-          newStatus: status,
-          timestamp: new Date()
-        }
+        completedAt: completedAtFor(workflow, status, currentTask.completedAt)
+      },
+      $push: {
+        history: historyEntry(req, 'STATUS_UPDATED', { newStatus: status })
       }
     }, 
     { new: true });
 
     if (!task) {
-      return res.status(404).json({
+      return res.status(409).json({
         status: 'error',
-        message: 'Task not found or access denied'
+        message: 'Task status was changed by someone else. Reload and try again.'
       });
     }
 
@@ -281,29 +347,6 @@ exports.updateTaskStatus = async (req, res) => {
   }
 };
 
-// Update the canAccessTask helper function
-const canAccessTask = async (userId, taskId) => {
-  const user = await User.findById(userId).populate('hierarchyLevel');
-  const task = await Task.findById(taskId).populate({
-    path: 'assignedTo',
-    populate: { path: 'hierarchyLevel' }
-  });
-
-  if (!user || !task) return false;
-
-  // Company admins can access all tasks
-  if (user.role === 'company_admin') return true;
-
-  // Users can access tasks they created
-  if (task.assignedBy.toString() === userId) return true;
-
-  // Users can access their own assigned tasks
-  if (task.assignedTo._id.toString() === userId) return true;
-
-  // Users can access tasks of those below them in hierarchy
-  return user.hierarchyLevel.level < task.assignedTo.hierarchyLevel.level;
-};
-
 // Update the updateTask function
 exports.updateTask = async (req, res) => {
   try {
@@ -323,15 +366,26 @@ exports.updateTask = async (req, res) => {
     }
 
     // Check if user is the creator or has hierarchy access
-    const isCreator = task.assignedBy.toString() === req.user.id;
-    const hasHierarchyAccess = await canAccessTask(req.user.id, taskId);
-
-    if (!isCreator && !hasHierarchyAccess) {
+    if (!await getTaskAccess(req).canAccessTask(task)) {
       return res.status(403).json({ 
         message: 'You do not have permission to update this task' 
       });
     }
 
+    const previousStatus = task.status;
+    const statusChanged = Boolean(status) && status !== previousStatus;
+    let workflow;
+    if (statusChanged) {
+      workflow = await getTaskWorkflow(task);
+      const statusError = transitionError(workflow, previousStatus, status);
+      if (statusError) {
+        return res.status(400).json({
+          status: 'error',
+          ...statusError
+        });
+      }
+    }
+
     // Create update record
     const update = {
       content,
@@ -345,19 +399,23 @@ exports.updateTask = async (req, res) => {
     };
 
     task.updates.push(update);
+    task.history.push(historyEntry(req, 'TASK_UPDATED', status ? { newStatus: status } : {}));
 
     // Update task fields if provided
-    if (status) task.status = status;
+    if (statusChanged) {
+      task.status = status;
+      task.completedAt = completedAtFor(workflow, status, task.completedAt);
+    }
     if (priority) task.priority = priority;
     if (dueDate) task.dueDate = dueDate;
 
     await task.save();
 
     // Send appropriate notifications
-    if (task.status !== status) {
+    if (statusChanged) {
       await NotificationHelper.taskStatusChanged(task, req.user.id, status);
       
-      if (status === 'completed') {
+      if (isFinalStatus(workflow, status)) {
         await NotificationHelper.taskCompleted(task, req.user.id);
       }
     } else {
@@ -405,8 +463,9 @@ exports.submitTaskReport = async (req, res) => {
       })) : []
     };
 
+    // A report leaves the status alone; the category's workflow decides
+    // which statuses a task moves through
     task.reports.push(report);
-    task.status = 'under_review';
     await task.save();
 
     // Notify task creator
@@ -425,20 +484,15 @@ exports.submitTaskReport = async (req, res) => {
 
 exports.getTasksByHierarchy = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate('hierarchyLevel');
-    
     let query = { company: req.user.company };
     
     // If not company admin, only show tasks based on hierarchy
     if (req.user.role !== 'company_admin') {
-      const subordinates = await User.find({
-        company: req.user.company,
-        'hierarchyLevel.level': { $gt: user.hierarchyLevel.level }
-      }).select('_id');
+      const managedIds = await getTaskAccess(req).managedIds();
 
       query.$or = [
         { assignedTo: req.user.id },
-        { assignedTo: { $in: subordinates.map(s => s._id) } }
+        { assignedTo: { $in: [...managedIds] } }
       ];
     }
 
@@ -453,9 +507,19 @@ exports.getTasksByHierarchy = async (req, res) => {
   }
 };
 
+// Tasks the caller may see: all of the company's or, in reporting-line mode,
+// only those within their reporting line. The limit is an $or, so it goes in
+// $and to combine with the progress filters, which are $or queries too.
+const visibleTaskQuery = async (req, query) => {
+  const taskAccess = getTaskAccess(req);
+  const { mode } = await taskAccess.settings();
+  const visible = mode === 'reporting_line' ? await taskAccess.taskFilter() : null;
+  return visible ? { ...query, $and: [...(query.$and || []), visible] } : query;
+};
+
 exports.getTasks = async (req, res) => {
   try {
-    const tasks = await Task.find({ company: req.user.company })
+    const tasks = await Task.find(await visibleTaskQuery(req, { company: req.user.company }))
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
       .sort({ createdAt: -1 });
@@ -474,6 +538,11 @@ exports.getTaskById = async (req, res) => {
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
+
+    // Only the caller's own tasks and those of people they manage
+    if (!await getTaskAccess(req).canAccessTask(task)) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
     
     res.json(task);
   } catch (error) {
@@ -485,12 +554,20 @@ exports.getTaskById = async (req, res) => {
 
 exports.deleteTask = async (req, res) => {
   try {
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await Task.findById(req.params.id);
     
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
-    
+
+    // canDeleteTasks only covers tasks the caller can access
+    if (!await getTaskAccess(req).canAccessTask(task)) {
+      return res.status(403).json({ message: 'You do not have permission to delete this task' });
+    }
+
+    await task.deleteOne();
+    await deleteStoredFiles(task.company, taskFilePaths(task));
+
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -505,10 +582,15 @@ exports.addComment = async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    if (!await getTaskAccess(req).canAccessTask(task)) {
+      return res.status(403).json({ message: 'You do not have access to this task' });
+    }
+
     task.comments.push({
       user: req.user._id,
       content: req.body.content
     });
+    task.history.push(historyEntry(req, 'COMMENT_ADDED'));
 
     await task.save();
 
@@ -523,14 +605,19 @@ exports.addComment = async (req, res) => {
 exports.getTaskAnalytics = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const query = { company: req.user.company };
+    const filter = { company: req.user.company };
 
     if (startDate && endDate) {
-      query.createdAt = {
+      filter.createdAt = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
+    const query = await visibleTaskQuery(req, filter);
+
+    // Progress counts follow each category's workflow, not fixed status names
+    const progress = await progressFilters(req.user.company);
+    const withProgress = (progressFilter) => ({ ...query, $and: [...(query.$and || []), progressFilter] });
 
     // Get task statistics with default values if no data exists
     const [
@@ -542,9 +629,9 @@ exports.getTaskAnalytics = async (req, res) => {
       recentTasks
     ] = await Promise.all([
       Task.countDocuments(query).catch(() => 0),
-      Task.countDocuments({ ...query, status: 'completed' }).catch(() => 0),
-      Task.countDocuments({ ...query, status: 'pending' }).catch(() => 0),
-      Task.countDocuments({ ...query, status: 'in_progress' }).catch(() => 0),
+      Task.countDocuments(withProgress(progress.completed)).catch(() => 0),
+      Task.countDocuments(withProgress(progress.pending)).catch(() => 0),
+      Task.countDocuments(withProgress(progress.inProgress)).catch(() => 0),
       Task.aggregate([
         { $match: query },
         { $group: { _id: '$priority', count: { $sum: 1 } } }
@@ -596,18 +683,32 @@ exports.getTaskAnalytics = async (req, res) => {
 
 exports.getTasksByDepartment = async (req, res) => {
   try {
-    const { dept } = req.params;
-    
-    // Get all users in the department
+    // :dept is a department id, or its name for older clients
+    const department = await findDepartment(req.user.company, req.params.dept);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    // Members from other companies keep their departments on the membership
     const departmentUsers = await User.find({
       company: req.user.company,
-      'hierarchyLevel.departmentScope': dept
+      departments: department._id
     }).select('_id');
+    const departmentMembers = await Membership.find({
+      company: req.user.company,
+      departments: department._id,
+      active: true
+    }).select('user');
 
-    const tasks = await Task.find({
+    const tasks = await Task.find(await visibleTaskQuery(req, {
       company: req.user.company,
-      assignedTo: { $in: departmentUsers.map(user => user._id) }
-    })
+      assignedTo: {
+        $in: [
+          ...departmentUsers.map(user => user._id),
+          ...departmentMembers.map(membership => membership.user)
+        ]
+      }
+    }))
     .populate('assignedTo', 'name email hierarchyLevel')
     .populate('assignedBy', 'name email')
     .sort('-createdAt');
@@ -631,7 +732,7 @@ exports.getTaskTimeline = async (req, res) => {
       };
     }
 
-    const tasks = await Task.find(query)
+    const tasks = await Task.find(await visibleTaskQuery(req, query))
       .select('title status dueDate priority')
       .sort('dueDate');
 
@@ -660,6 +761,10 @@ exports.getCompanyStats = async (req, res) => {
       return res.status(400).json({ message: 'Company ID not found' });
     }
 
+    const progress = await progressFilters(companyId);
+    const query = await visibleTaskQuery(req, { company: companyId });
+    const withFilter = (filter) => ({ ...query, $and: [...(query.$and || []), filter] });
+
     const [
       totalTasks,
       completedTasks,
@@ -670,14 +775,14 @@ exports.getCompanyStats = async (req, res) => {
       lowPriorityTasks,
       recentTasks
     ] = await Promise.all([
-      Task.countDocuments({ company: companyId }),
-      Task.countDocuments({ company: companyId, status: 'completed' }),
-      Task.countDocuments({ company: companyId, status: 'pending' }),
-      Task.countDocuments({ company: companyId, status: 'in_progress' }),
-      Task.countDocuments({ company: companyId, priority: 'high' }),
-      Task.countDocuments({ company: companyId, priority: 'medium' }),
-      Task.countDocuments({ company: companyId, priority: 'low' }),
-      Task.find({ company: companyId })
+      Task.countDocuments(query),
+      Task.countDocuments(withFilter(progress.completed)),
+      Task.countDocuments(withFilter(progress.pending)),
+      Task.countDocuments(withFilter(progress.inProgress)),
+      Task.countDocuments(withFilter({ priority: 'high' })),
+      Task.countDocuments(withFilter({ priority: 'medium' })),
+      Task.countDocuments(withFilter({ priority: 'low' })),
+      Task.find(query)
         .sort({ createdAt: -1 })
         .limit(5)
         .populate('assignedTo', 'name')
@@ -786,7 +891,9 @@ exports.getMyStats = async (req, res) => {
     const userId = new mongoose.Types.ObjectId(req.user.id);
     const companyId = new mongoose.Types.ObjectId(req.user.company);
 
-    // Get task counts with proper status filters
+    // Progress counts follow each category's workflow, not fixed status names
+    const progress = await progressFilters(companyId);
+
     const [totalTasks, completedTasks, pendingTasks, inProgressTasks] = await Promise.all([
       Task.countDocuments({ 
         assignedTo: userId,
@@ -795,17 +902,17 @@ exports.getMyStats = async (req, res) => {
       Task.countDocuments({ 
         assignedTo: userId,
         company: companyId,
-        status: 'completed'  // Make sure this matches your status value exactly
+        $and: [progress.completed]
       }),
       Task.countDocuments({ 
         assignedTo: userId,
         company: companyId,
-        status: 'pending'
+        $and: [progress.pending]
       }),
       Task.countDocuments({ 
         assignedTo: userId,
         company: companyId,
-        status: 'in_progress'
+        $and: [progress.inProgress]
       })
     ]);
 
@@ -890,10 +997,15 @@ exports.patchAddComment = async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    if (!await getTaskAccess(req).canAccessTask(task)) {
+      return res.status(403).json({ message: 'You do not have access to this task' });
+    }
+
     task.comments.push({
       user: req.user._id,
       content
     });
+    task.history.push(historyEntry(req, 'COMMENT_ADDED'));
 
     await task.save();
 
@@ -931,6 +1043,17 @@ exports.submitTaskCompletion = async (req, res) => {
       });
     }
     
+    // Completing moves the task into the final status its workflow allows next
+    const workflow = await getTaskWorkflow(task);
+    const finalStatus = completionStatus(workflow, task.status);
+    if (!finalStatus) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A ${task.category} task cannot be completed from "${task.status}"`,
+        allowedStatuses: allowedTransitions(workflow, task.status)
+      });
+    }
+
     // Create completion submission
     const completionSubmission = {
       notes: completionNotes,
@@ -946,13 +1069,9 @@ exports.submitTaskCompletion = async (req, res) => {
     
     // Update task with completion data and change status
     task.completionSubmission = completionSubmission;
-    task.status = 'completed';
-    task.history.push({
-      action: 'TASK_COMPLETED',
-      performedBy: req.user.id,
-      newStatus: 'completed',
-      timestamp: new Date()
-    });
+    task.status = finalStatus;
+    task.completedAt = completedAtFor(workflow, finalStatus, task.completedAt);
+    task.history.push(historyEntry(req, 'TASK_COMPLETED', { newStatus: finalStatus }));
     
     await task.save();
     
@@ -967,7 +1086,8 @@ exports.submitTaskCompletion = async (req, res) => {
         data: {
           ...task.toObject(),
           completionNotes
-        }
+        },
+        company: task.company
       });
     } catch (emailError) {
       console.error('Error sending completion email:', emailError);
@@ -1036,11 +1156,7 @@ exports.addTaskAttachments = async (req, res) => {
     task.attachments.push(...newAttachments);
     
     // Add history entry
-    task.history.push({
-      action: 'ATTACHMENTS_ADDED',
-      performedBy: req.user.id,
-      timestamp: new Date()
-    });
+    task.history.push(historyEntry(req, 'ATTACHMENTS_ADDED'));
     
     await task.save();
     
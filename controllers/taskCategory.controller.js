@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const TaskCategory = require('../models/TaskCategory');
+const Task = require('../models/Task');
+const { normalizeWorkflow, syncCompletion } = require('../utils/taskWorkflow');
+
+const findCompanyCategory = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return TaskCategory.findOne({ _id: req.params.id, company: req.user.company });
+};
+
+// Statuses that tasks of the category are still in, with their counts
+const statusesInUse = async (companyId, categoryName) => {
+  const counts = await Task.aggregate([
+    { $match: { company: companyId, category: categoryName } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return counts.map(({ _id, count }) => ({ status: _id, taskCount: count }));
+};
+
+exports.getCategories = async (req, res) => {
+  try {
+    const filter = { company: req.user.company };
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const categories = await TaskCategory.find(filter).sort('name');
+    res.json(categories);
+  } catch (error) {
+    console.error('Error fetching task categories:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getCategory = async (req, res) => {
+  try {
+    const category = await findCompanyCategory(req);
+    if (!category) {
+      return res.status(404).json({ message: 'Task category not found' });
+    }
+
+    res.json({
+      ...category.toObject(),
+      tasksByStatus: await statusesInUse(req.user.company, category.name)
+    });
+  } catch (error) {
+    console.error('Error fetching task category:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.createCategory = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Please provide a category name' });
+    }
+
+    if (await TaskCategory.exists({ company: req.user.company, name: name.trim() })) {
+      return res.status(400).json({ message: 'A task category with this name already exists' });
+    }
+
+    const { workflow, errors } = normalizeWorkflow(req.body);
+    if (!workflow) {
+      return res.status(400).json({ message: 'Invalid workflow', errors });
+    }
+
+    const category = await TaskCategory.create({
+      company: req.user.company,
+      name,
+      description,
+      ...workflow
+    });
+
+    // Tasks already filed under this name now follow its workflow
+    await syncCompletion(req.user.company, category.name, category);
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Error creating task category:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Changing the workflow cannot drop statuses that tasks are still in.
+// Renaming the category carries its tasks along.
+exports.updateCategory = async (req, res) => {
+  try {
+    const { name, description, active, statuses, initialStatus, transitions } = req.body;
+
+    const category = await findCompanyCategory(req);
+    if (!category) {
+      return res.status(404).json({ message: 'Task category not found' });
+    }
+
+    const previousName = category.name;
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Category name cannot be empty' });
+      }
+      const duplicate = await TaskCategory.exists({
+        company: req.user.company,
+        name: name.trim(),
+        _id: { $ne: category._id }
+      });
+      if (duplicate) {
+        return res.status(400).json({ message: 'A task category with this name already exists' });
+      }
+      category.name = name;
+    }
+
+    if (description !== undefined) category.description = description;
+    if (active !== undefined) category.active = Boolean(active);
+
+    if (statuses !== undefined || initialStatus !== undefined || transitions !== undefined) {
+      const { workflow, errors } = normalizeWorkflow({
+        statuses: statuses !== undefined ? statuses : category.statuses,
+        initialStatus: initialStatus !== undefined ? initialStatus : category.initialStatus,
+        transitions: transitions !== undefined ? transitions : category.transitions
+      });
+      if (!workflow) {
+        return res.status(400).json({ message: 'Invalid workflow', errors });
+      }
+
+      const keys = workflow.statuses.map(status => status.key);
+      const stranded = (await statusesInUse(req.user.company, previousName))
+        .filter(({ status }) => !keys.includes(status));
+      if (stranded.length > 0) {
+        return res.status(400).json({
+          message: 'Move tasks out of these statuses before removing them',
+          statusesInUse: stranded
+        });
+      }
+
+      category.set(workflow);
+    }
+
+    await category.save();
+
+    if (category.name !== previousName) {
+      await Task.updateMany(
+        { company: req.user.company, category: previousName },
+        { $set: { category: category.name } }
+      );
+    }
+
+    // Statuses may have become final or stopped being final
+    await syncCompletion(req.user.company, category.name, category);
+
+    res.json(category);
+  } catch (error) {
+    console.error('Error updating task category:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// A category with tasks is only deactivated, so its tasks keep their workflow
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await findCompanyCategory(req);
+    if (!category) {
+      return res.status(404).json({ message: 'Task category not found' });
+    }
+
+    const taskCount = await Task.countDocuments({ company: req.user.company, category: category.name });
+    if (taskCount > 0) {
+      category.active = false;
+      await category.save();
+      return res.json({
+        message: `Task category deactivated; ${taskCount} tasks still use it`,
+        category
+      });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Task category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting task category:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
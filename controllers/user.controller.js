@@ -1,6 +1,27 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
+const {
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  liftSessionRestriction
+} = require('../utils/sessionHelper');
+const { unlockAccount } = require('../utils/loginGuard');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  checkPasswordReuse,
+  setPassword,
+  sendPasswordErrors
+} = require('../utils/passwordPolicy');
+const { seatLimitError, sendQuotaError, deleteStoredFiles } = require('../utils/planLimits');
+const { findCompanyMember, findGuestMembers } = require('../utils/membershipHelper');
+const Membership = require('../models/Membership');
+const { runAsSystem } = require('../utils/tenantContext');
+const { getTaskAccess, placementError } = require('../utils/hierarchyHelper');
 
 // Get Company Employees
 exports.getCompanyEmployees = async (req, res) => {
@@ -13,8 +34,105 @@ exports.getCompanyEmployees = async (req, res) => {
       .populate('reportsTo', 'name email')
       .select('-password');
 
-    res.json(employees);
+    // Employees from other companies, flagged so they are managed as memberships
+    const guests = await findGuestMembers(req.user.company, { role: 'employee' });
+    await User.populate(guests, [
+      { path: 'hierarchyLevel', select: 'name level' },
+      { path: 'reportsTo', select: 'name email' }
+    ]);
+
+    res.json([
+      ...employees,
+      ...guests.map(guest => ({ ...guest.toObject(), guest: true }))
+    ]);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+});
+
+// Employees below a non-admin holding canManageUsers, under the company's
+// task authorization mode, are theirs to manage; admins manage everyone
+const canManageEmployee = async (req, employee) =>
+  req.user.role === 'company_admin'
+  || (await getTaskAccess(req).managedIds()).has(employee._id.toString());
+
+const findCompanyEmployee = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const employee = await User.findOne({
+    _id: req.params.id,
+    company: req.user.company,
+    role: 'employee'
+  });
+  return employee && await canManageEmployee(req, employee) ? employee : null;
+};
+
+// Get Employee Sessions and recent login history (by company admin)
+exports.getEmployeeSessions = async (req, res) => {
+  try {
+    const employee = await findCompanyEmployee(req);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const [sessions, loginHistory] = await Promise.all([
+      getActiveSessions(employee._id),
+      LoginEvent.find({ user: employee._id }).sort('-createdAt').limit(50)
+    ]);
+
+    res.json({
+      sessions: sessions.map(session => formatSession(session)),
+      loginHistory
+    });
+  } catch (error) {
+    console.error('Error fetching employee sessions:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke one Employee Session (by company admin)
+exports.revokeEmployeeSession = async (req, res) => {
+  try {
+    const employee = await findCompanyEmployee(req);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, user: employee._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_admin');
+    res.json({ message: 'Session revoked' });
   } catch (error) {
+    console.error('Error revoking employee session:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke every Employee Session (by company admin)
+exports.revokeAllEmployeeSessions = async (req, res) => {
+  try {
+    const employee = await findCompanyEmployee(req);
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const revoked = await revokeUserSessions(employee._id, 'revoked_by_admin');
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    console.error('Error revoking employee sessions:', error);
     res.status(500).json({ message: error.message });
   }
 };
@@ -24,16 +142,30 @@ exports.updateEmployeeProfile = async (req, res) => {
   try {
     const { name, email, phone, hierarchyLevel, reportsTo, status } = req.body;
 
-    const employee = await User.findOne({
-      _id: req.params.id,
-      company: req.user.company,
-      role: 'employee'
-    });
+    const employee = await findCompanyEmployee(req);
 
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
+    // Only admins change the email people sign in with
+    if (email && email !== employee.email && req.user.role !== 'company_admin') {
+      return res.status(403).json({ message: 'Only company admins can change an employee\'s email' });
+    }
+
+    const placement = await placementError(req, { hierarchyLevel, reportsTo });
+    if (placement) {
+      return res.status(403).json({ message: placement });
+    }
+
+    // Reactivating an employee takes a seat again
+    if (status === true && employee.active === false) {
+      const seatError = await seatLimitError(req.user.company);
+      if (seatError) {
+        return sendQuotaError(res, seatError);
+      }
+    }
+
     // Update fields
     if (name) employee.name = name;
     if (email) employee.email = email;
@@ -44,6 +176,11 @@ exports.updateEmployeeProfile = async (req, res) => {
 
     await employee.save();
 
+    // Deactivated employees lose every session immediately
+    if (status === false) {
+      await revokeUserSessions(employee._id, 'user_deactivated');
+    }
+
     // Populate references before sending response
     await employee.populate('hierarchyLevel', 'name level');
     await employee.populate('reportsTo', 'name email');
@@ -90,10 +227,12 @@ exports.updateUser = async (req, res) => {
 // Get User Profile
 exports.getUserProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id)
-      .select('-password')
-      .populate('hierarchyLevel', 'name level')
-      .populate('reportsTo', 'name email');
+    // Role, level and manager in the company the user is working in
+    const user = await findCompanyMember(req.user.company, req.user.id);
+    await user?.populate([
+      { path: 'hierarchyLevel', select: 'name level' },
+      { path: 'reportsTo', select: 'name email' }
+    ]);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -133,26 +272,104 @@ exports.changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    const isMatch = await bcrypt.compare(currentPassword || '', user.password);
     if (!isMatch) {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
-    user.password = await bcrypt.hash(newPassword, 10);
+    const policy = await getPasswordPolicy(user.company);
+    const passwordErrors = validatePassword(newPassword, policy, user);
+    if (passwordErrors.length === 0) {
+      passwordErrors.push(...await checkPasswordReuse(user, newPassword, policy));
+    }
+    if (passwordErrors.length > 0) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
 
+    await setPassword(user, newPassword, policy);
     await user.save();
+
+    // A session restricted by an expired password becomes a normal one
+    if (req.session.scope) {
+      const token = await liftSessionRestriction(req.session, user);
+      return res.json({ message: 'Password changed successfully', token });
+    }
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Password requirements for the current user's company
+exports.getMyPasswordPolicy = async (req, res) => {
+  try {
+    res.json(await getPasswordPolicy(req.user.company));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get My Sessions
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+    res.json(sessions.map(session => formatSession(session, req.session._id)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke one of My Sessions
+exports.revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get My Login History
+exports.getMyLoginHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { user: req.user._id };
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(query)
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Upload Avatar
 exports.uploadAvatar = async (req, res) => {
   try {
@@ -166,10 +383,16 @@ exports.uploadAvatar = async (req, res) => {
     }
 
     // Store the relative path
+    const previousAvatar = user.avatar;
     const avatarUrl = `/uploads/avatars/${req.file.filename}`;
     user.avatar = avatarUrl;
     await user.save();
 
+    // The replaced upload no longer counts against storage
+    if (previousAvatar?.startsWith('/uploads/avatars/')) {
+      await deleteStoredFiles(req.user.company, [previousAvatar.slice(1)]);
+    }
+
     res.json({
       message: 'Avatar uploaded successfully',
       avatar: avatarUrl
@@ -183,29 +406,52 @@ exports.uploadAvatar = async (req, res) => {
 // Delete Employee
 exports.deleteEmployee = async (req, res) => {
   try {
-    const employee = await User.findOneAndDelete({
-      _id: req.params.id,
-      company: req.user.company,
-      role: 'employee'
-    });
+    const employee = await findCompanyEmployee(req);
 
     if (!employee) {
       return res.status(404).json({ message: 'Employee not found' });
     }
 
+    await employee.deleteOne();
+
+    await revokeUserSessions(employee._id, 'user_deleted');
+    // Their memberships in other companies go with the account
+    await runAsSystem(() => Membership.deleteMany({ user: employee._id }));
+
     res.json({ message: 'Employee deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Unlock Employee after a failed-login lockout
+exports.unlockEmployee = async (req, res) => {
+  try {
+    const employee = await findCompanyEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const wasLocked = await unlockAccount(employee.email);
+
+    res.json({
+      message: wasLocked ? 'Employee account unlocked' : 'Employee account was not locked'
+    });
+  } catch (error) {
+    console.error('Error unlocking employee:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Get My Team
 
 
 exports.getMyTeam = async (req, res) => {
   try {
     // Get the current user's hierarchy level
-    const currentUser = await User.findById(req.user._id).populate('hierarchyLevel', 'level');
+    const currentUser = await findCompanyMember(req.user.company, req.user._id);
+    await currentUser?.populate('hierarchyLevel', 'level');
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -287,7 +533,8 @@ exports.getMyStats = async (req, res) => {
               $filter: {
                 input: '$tasks',
                 as: 'task',
-                cond: { $eq: ['$$task.status', 'completed'] }
+                // Tasks in any final status of their workflow
+                cond: { $gt: ['$$task.completedAt', null] }
               }
             }
           }
@@ -305,14 +552,24 @@ exports.getMyStats = async (req, res) => {
 // Get Company Users
 exports.getCompanyUsers = async (req, res) => {
   try {
-    const users = await User.find({
+    const companyUsers = await User.find({
       company: req.user.company,
       _id: { $ne: req.user._id } // Exclude current user
     })
       .select('-password')
       .populate('hierarchyLevel', 'name level')
-      .populate('reportsTo', 'name email')
-      .sort({ name: 1 }); // Sort by name alphabetically
+      .populate('reportsTo', 'name email');
+
+    // Members from other companies can be assigned work here too
+    const guests = (await findGuestMembers(req.user.company))
+      .filter(guest => !guest._id.equals(req.user._id));
+    await User.populate(guests, [
+      { path: 'hierarchyLevel', select: 'name level' },
+      { path: 'reportsTo', select: 'name email' }
+    ]);
+
+    const users = [...companyUsers, ...guests]
+      .sort((a, b) => a.name.localeCompare(b.name)); // Sort by name alphabetically
 
     // Format the response
     const formattedUsers = users.map(user => ({
@@ -1,8 +1,61 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const Task = require('../models/Task');
+const { verifyAccessToken, verifyMfaToken } = require('../utils/sessionHelper');
+const { authenticateApiKey } = require('../utils/apiKeyHelper');
+const { auditImpersonatedWrites } = require('../utils/auditLog');
+const { tenantContextFor, runWithTenant } = require('../utils/tenantContext');
+const { companyAccessError } = require('../utils/companyStatus');
+const { featureError, sendQuotaError } = require('../utils/planLimits');
+const { getMembership, applyMembership, findCompanyMember } = require('../utils/membershipHelper');
 
-// Protect routes - verifies token and loads user
-const protect = async (req, res, next) => {
+// Continue the request inside the user's tenant context so every query on a
+// tenant model is limited to their company
+const nextAsUser = (user, next) => runWithTenant(tenantContextFor(user), next);
+
+// Attach the authenticated user and session; impersonation sessions also
+// record who is really acting and audit every write
+const attachSession = (req, res, user, session) => {
+  req.user = user;
+  req.session = session;
+
+  if (session.impersonator) {
+    req.impersonatedBy = session.impersonator;
+    auditImpersonatedWrites(req, res);
+  }
+};
+
+// The session's user as a member of the company the session is working in.
+// Their role, hierarchy level and manager come from that membership.
+const loadSessionUser = async (decoded, session) => {
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  // Deactivated users lose access even before their sessions are revoked
+  if (!user.active) {
+    return { error: 'Your account has been deactivated' };
+  }
+
+  const membership = await getMembership(user, session.company);
+  if (!membership) {
+    return { error: 'You are no longer a member of this company' };
+  }
+
+  return { user: applyMembership(user, membership) };
+};
+
+// Restricted sessions (e.g. an expired password) only reach routes that opt in
+const PASSWORD_EXPIRED_RESPONSE = {
+  message: 'Your password has expired and must be changed',
+  code: 'PASSWORD_EXPIRED'
+};
+
+// Protect routes - verifies token and loads user. allowedScope admits a
+// restricted session; allowReadOnly admits writes from a read-only company.
+const protectWithScope = ({ allowedScope, allowReadOnly = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -11,25 +64,47 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'No authentication token, access denied' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and make sure its session has not been revoked
+    const { decoded, session } = await verifyAccessToken(token);
+
+    if (session.scope && session.scope !== allowedScope) {
+      return res.status(403).json(PASSWORD_EXPIRED_RESPONSE);
+    }
     
-    // Check if user still exists
-    const user = await User.findById(decoded.id).select('-password');
+    // Check if user still exists and still belongs to the session's company
+    const { user, error } = await loadSessionUser(decoded, session);
     
     if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+      return res.status(401).json({ message: error });
     }
 
-    // Add user to request
-    req.user = user;
-    next();
+    // Suspended companies are locked out; read-only ones can only read
+    const companyError = await companyAccessError(user.company, req.method, { allowReadOnly });
+    if (companyError) {
+      return res.status(403).json(companyError);
+    }
+
+    // Add user and session to request
+    attachSession(req, res, user, session);
+    nextAsUser(user, next);
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Not authorized to access this route' });
   }
 };
 
+const protect = protectWithScope();
+
+// Lets a session restricted after password expiry change the password
+const protectPasswordChange = protectWithScope({ allowedScope: 'password_change' });
+
+// Signing out always works, even from a restricted session or a read-only company
+const protectLogout = protectWithScope({ allowedScope: 'password_change', allowReadOnly: true });
+
+// Requests that change no company data, such as starting a data export, stay
+// available to read-only companies
+const protectReadOnly = protectWithScope({ allowReadOnly: true });
+
 // Basic auth middleware - only verifies token
 const auth = async (req, res, next) => {
   try {
@@ -39,23 +114,118 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No authentication token, access denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { decoded, session } = await verifyAccessToken(token);
+
+    if (session.scope) {
+      return res.status(403).json(PASSWORD_EXPIRED_RESPONSE);
+    }
 
     // Fetch user from DB
-    const user = await User.findById(decoded.id).select('-password');
+    const { user, error } = await loadSessionUser(decoded, session);
 
     if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+      return res.status(401).json({ message: error });
     }
 
-    req.user = user; // Ensure full user details including role are attached
-    next();
+    const companyError = await companyAccessError(user.company, req.method);
+    if (companyError) {
+      return res.status(403).json(companyError);
+    }
+
+    attachSession(req, res, user, session); // Ensure full user details including role are attached
+    nextAsUser(user, next);
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is invalid or expired' });
   }
 };
 
+// Accepts a company API key in the X-API-Key header as an alternative to the
+// JWT, provided it carries every listed scope. Routes without this middleware
+// never accept API keys.
+const protectOrApiKey = (...scopes) => async (req, res, next) => {
+  const rawKey = req.header('X-API-Key');
+  if (!rawKey) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const apiKey = await authenticateApiKey(rawKey, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'API key is invalid, revoked or expired' });
+    }
+
+    const missingScopes = scopes.filter(scope => !apiKey.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      return res.status(403).json({
+        message: 'API key does not have the required scope',
+        missingScopes
+      });
+    }
+
+    // The key acts with the permissions of the admin who created it
+    const user = await findCompanyMember(apiKey.company, apiKey.createdBy);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'API key owner is no longer active' });
+    }
+
+    const companyError = await companyAccessError(apiKey.company, req.method);
+    if (companyError) {
+      return res.status(403).json(companyError);
+    }
+
+    // Keys stop working when the company moves to a plan without API access
+    const planError = await featureError(apiKey.company, 'api_keys');
+    if (planError) {
+      return sendQuotaError(res, planError);
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    nextAsUser(user, next);
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(401).json({ message: 'Not authorized to access this route' });
+  }
+};
+
+// MFA enrollment routes accept either a normal access token or the mfaToken
+// returned by login when the user must enroll before they can sign in
+const protectMfaEnrollment = async (req, res, next) => {
+  if (!req.body?.mfaToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyMfaToken(req.body.mfaToken);
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Enrolling is part of signing in, which a read-only company still allows
+    const companyError = await companyAccessError(user.company, req.method, { allowReadOnly: true });
+    if (companyError) {
+      return res.status(403).json(companyError);
+    }
+
+    req.user = user;
+    req.mfaLogin = { method: decoded.method || 'password' };
+    nextAsUser(user, next);
+  } catch (error) {
+    res.status(401).json({ message: 'MFA token is invalid or expired' });
+  }
+};
+
+// Block account-security changes while a super admin is impersonating
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonatedBy) {
+    return res.status(403).json({ message: 'This action is not allowed while impersonating a user' });
+  }
+  next();
+};
+
 // Role authorization middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -71,9 +241,108 @@ const authorize = (...roles) => {
   };
 };
 
+// Only for companies whose plan includes the feature; users without a company
+// (super admins) are not limited
+const requireFeature = (feature) => async (req, res, next) => {
+  try {
+    if (!req.user?.company) return next();
+
+    const error = await featureError(req.user.company, feature);
+    if (error) {
+      return sendQuotaError(res, error);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Plan feature check error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const LEVEL_PERMISSIONS = Object.keys(HierarchyLevel.schema.obj.permissions);
+
+// Permissions of the caller's hierarchy level, loaded once per request
+const loadLevelPermissions = (req) => {
+  if (!req.levelPermissions) {
+    req.levelPermissions = req.user.hierarchyLevel
+      ? HierarchyLevel.findOne({ _id: req.user.hierarchyLevel, company: req.user.company })
+        .select('name permissions')
+        .lean()
+        .then(level => ({ levelName: level?.name || null, granted: level?.permissions || {} }))
+      : Promise.resolve({ levelName: null, granted: {} });
+  }
+  return req.levelPermissions;
+};
+
+// Only for users whose hierarchy level grants every listed permission.
+// Company admins hold them all.
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !LEVEL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'User not authenticated' });
+      }
+
+      if (req.user.role === 'company_admin') return next();
+
+      const { levelName, granted } = await loadLevelPermissions(req);
+      const missingPermissions = permissions.filter(permission => !granted[permission]);
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          message: 'Your hierarchy level does not allow this action',
+          code: 'PERMISSION_DENIED',
+          hierarchyLevel: levelName,
+          requiredPermissions: permissions,
+          missingPermissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+// A level permission for acting on the task in :id, waived for the people the
+// task is theirs to work on: by default its assignee and whoever assigned it
+const requireTaskPermission = (permission, { exempt = ['assignedTo', 'assignedBy'] } = {}) => {
+  const checkPermission = requirePermission(permission);
+
+  return async (req, res, next) => {
+    try {
+      if (req.user && mongoose.isValidObjectId(req.params.id)) {
+        const task = await Task.findById(req.params.id).select(exempt.join(' ')).lean();
+        const userId = req.user._id.toString();
+        if (task && exempt.some(field => task[field]?.toString() === userId)) return next();
+      }
+
+      checkPermission(req, res, next);
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
 // Export all middleware functions
 module.exports = {
   protect,
+  protectPasswordChange,
+  protectLogout,
+  protectReadOnly,
   auth,
-  authorize
+  protectOrApiKey,
+  protectMfaEnrollment,
+  denyImpersonation,
+  authorize,
+  requireFeature,
+  requirePermission,
+  requireTaskPermission
 };
\ No newline at end of file
@@ -1,3 +1,6 @@
+const multer = require('multer');
+const { QuotaExceededError } = require('../utils/planLimits');
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
   
@@ -8,6 +11,10 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err instanceof QuotaExceededError) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+
   res.status(500).json({
     message: 'Server error',
     error: err.message
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const withStorageQuota = require('./storageQuota');
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -28,7 +29,7 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage: storage,
+  storage: withStorageQuota(storage),
   limits: {
     fileSize: 1024 * 1024 * 25 // 25MB
   },
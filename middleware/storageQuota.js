@@ -0,0 +1,37 @@
+const { reserveStorage, releaseStorage } = require('../utils/planLimits');
+
+// Wraps a multer storage engine so every stored file counts against the
+// company's plan storage. A file that does not fit is removed and the upload
+// fails with a QuotaExceededError; files multer cleans up after an error are
+// released again.
+const withStorageQuota = (storage) => ({
+  _handleFile(req, file, cb) {
+    storage._handleFile(req, file, async (error, info) => {
+      const companyId = req.user?.company;
+      if (error || !companyId) return cb(error, info);
+
+      try {
+        const quotaError = await reserveStorage(companyId, info.size);
+        if (quotaError) {
+          return storage._removeFile(req, { ...file, ...info }, () => cb(quotaError));
+        }
+        cb(null, info);
+      } catch (reserveError) {
+        cb(reserveError);
+      }
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, (error) => {
+      const companyId = req.user?.company;
+      if (error || !companyId) return cb(error);
+
+      releaseStorage(companyId, file.size)
+        .then(() => cb(null))
+        .catch(cb);
+    });
+  }
+});
+
+module.exports = withStorageQuota;
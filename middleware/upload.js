@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const withStorageQuota = require('./storageQuota');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = 'uploads/chat';
@@ -40,7 +41,7 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage: storage,
+  storage: withStorageQuota(storage),
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'users:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Public part of the key, used to look it up without scanning hashes
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  // Requests made with the key act on behalf of the admin who created it
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ company: 1, revokedAt: 1 });
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
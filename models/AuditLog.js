@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // The real person acting, e.g. the super admin during impersonation
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  action: {
+    type: String,
+    enum: ['IMPERSONATION_STARTED', 'IMPERSONATION_ENDED', 'IMPERSONATED_WRITE'],
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  reason: String,
+  ip: String,
+  userAgent: String,
+  // For IMPERSONATION_STARTED: when the impersonation window closes and
+  // when the impersonated user was told about it
+  endsAt: Date,
+  notifiedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ session: 1 });
+auditLogSchema.index({ action: 1, notifiedAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
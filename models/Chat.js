@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const tenantPlugin = require('../utils/tenantPlugin');
 
 // Message schema as a subdocument
 const MessageSchema = new Schema({
@@ -102,6 +103,11 @@ const ChatSchema = new Schema({
     enum: ['direct', 'group'],
     required: true
   },
+  company: {
+    type: Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
   participants: [{
     type: Schema.Types.ObjectId,
     ref: 'User'
@@ -156,6 +162,7 @@ const ChatSchema = new Schema({
 }, { timestamps: true });
 
 // Create indexes for efficient querying
+ChatSchema.index({ company: 1, participants: 1 });
 ChatSchema.index({ participants: 1 });
 ChatSchema.index({ 'messages.sender': 1 });
 ChatSchema.index({ 'messages.createdAt': -1 });
@@ -189,6 +196,8 @@ ChatSchema.methods.resetUnreadCount = function(userId) {
   }
 };
 
+ChatSchema.plugin(tenantPlugin);
+
 const Chat = mongoose.model('Chat', ChatSchema);
 const Message = mongoose.model('Message', MessageSchema);
 
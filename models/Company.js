@@ -15,6 +15,95 @@ const companySchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Set while the company is deactivated. read_only lets users sign in and
+  // read during a grace period that ends at lockAt; locked blocks everything.
+  suspension: {
+    mode: { type: String, enum: ['read_only', 'locked'] },
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lockAt: Date,
+  },
+  // No plan means no limits, which keeps companies from before plans existed
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+  },
+  usage: {
+    // Running total of uploaded file sizes, kept by the upload middlewares
+    storageBytes: { type: Number, default: 0 },
+  },
+  // Set while a deletion is scheduled; it can be confirmed from confirmableAt
+  // and cancelled until then
+  deletion: {
+    scheduledAt: Date,
+    scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    confirmableAt: Date,
+    reason: String,
+  },
+  requireMfa: {
+    type: Boolean,
+    default: false,
+  },
+  // Who may assign and see whose tasks: 'level' compares hierarchy level
+  // numbers; 'reporting_line' limits people to their reportsTo subtree,
+  // optionally widened to lower levels in their own departments
+  taskAuthorization: {
+    mode: { type: String, enum: ['level', 'reporting_line'], default: 'level' },
+    includeDepartments: { type: Boolean, default: false },
+  },
+  passwordPolicy: {
+    minLength: { type: Number, default: 8 },
+    requireUppercase: { type: Boolean, default: false },
+    requireLowercase: { type: Boolean, default: false },
+    requireNumber: { type: Boolean, default: false },
+    requireSymbol: { type: Boolean, default: false },
+    // Number of previous passwords that cannot be reused
+    historyCount: { type: Number, default: 0 },
+    // 0 means passwords never expire
+    maxAgeDays: { type: Number, default: 0 },
+  },
+  settings: {
+    // IANA timezone; all company-local dates and schedules use it
+    timezone: { type: String, default: 'UTC' },
+    // 0 = Sunday ... 6 = Saturday
+    workingDays: { type: [Number], default: [1, 2, 3, 4, 5] },
+    workingHours: {
+      start: { type: String, default: '09:00' },
+      end: { type: String, default: '17:00' },
+    },
+    holidays: [{
+      _id: false,
+      date: String, // YYYY-MM-DD in the company timezone
+      name: String,
+    }],
+    locale: { type: String, default: 'en-US' },
+    dateFormat: {
+      type: String,
+      enum: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY'],
+      default: 'YYYY-MM-DD',
+    },
+  },
+  // White-label look of emails and links; unset fields use the Workzen defaults
+  branding: {
+    logoUrl: String,
+    primaryColor: String,
+    textColor: String,
+    senderName: String,
+    replyTo: String,
+    emailFooter: String,
+    // Origin of the company's own frontend domain, e.g. https://tasks.acme.com
+    frontendUrl: String,
+  },
+  sso: {
+    enabled: { type: Boolean, default: false },
+    issuer: String,
+    clientId: String,
+    clientSecret: { type: String, select: false },
+    allowedDomains: [{ type: String, lowercase: true, trim: true }],
+    // Company admins keep password login as a break-glass path
+    disablePasswordLogin: { type: Boolean, default: false },
+  },
 }, {
   timestamps: true
 });
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Permanent record of a deleted company and what was removed with it. It
+// outlives the company, so it stores names rather than references.
+const deletionCertificateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  companyName: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scheduledAt: Date,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    required: true
+  },
+  // Number of records and files removed per kind
+  removed: {
+    type: Map,
+    of: Number
+  },
+  removedBytes: Number,
+  // HMAC-SHA256 of the fields above, keyed with DELETION_CERTIFICATE_SECRET,
+  // to show the certificate was not altered
+  digest: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+deletionCertificateSchema.index({ company: 1 });
+
+module.exports = mongoose.model('DeletionCertificate', deletionCertificateSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+const departmentSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Also a member of the department
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.index({ company: 1, name: 1 }, { unique: true });
+
+departmentSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Department', departmentSchema);
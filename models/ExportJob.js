@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A background export of all of a company's data into a zip archive
+const exportJobSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  progress: {
+    // Name of the section being exported, e.g. 'tasks' or 'files'
+    step: String,
+    completedSteps: { type: Number, default: 0 },
+    totalSteps: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 }
+  },
+  // Record counts per exported section, also written to the manifest
+  counts: {
+    type: Map,
+    of: Number
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // The archive is deleted after this
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ company: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
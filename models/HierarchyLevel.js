@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const hierarchyLevelSchema = new mongoose.Schema({
   company: {
@@ -34,9 +35,11 @@ const hierarchyLevelSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+  // Departments this level works in; see scripts/migrateDepartments.js for
+  // levels that still hold the old department names
   departmentScope: [{
-    type: String,
-    enum: ['IT', 'HR', 'Finance', 'Operations', 'Marketing', 'Sales']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
   }]
 }, {
   timestamps: true
@@ -44,4 +47,6 @@ const hierarchyLevelSchema = new mongoose.Schema({
 
 hierarchyLevelSchema.index({ company: 1, level: 1 });
 
+hierarchyLevelSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('HierarchyLevel', hierarchyLevelSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ company: 1, acceptedAt: 1, revokedAt: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
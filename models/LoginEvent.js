@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 180;
+
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept even when no user matched, so failed attempts against unknown emails are visible
+  email: {
+    type: String,
+    lowercase: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'mfa', 'invite', 'sso'],
+    default: 'password'
+  },
+  reason: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters, keyed per account ("account:<email>") and per IP
+// ("ip:<address>"). Kept in MongoDB so lockouts survive restarts.
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+// A user's place in a company other than their own. The company a user was
+// created in keeps living on the User document (company, role,
+// hierarchyLevel, reportsTo, departments); every further company they work
+// for gets a membership holding the same fields for that company.
+const membershipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['company_admin', 'employee'],
+    required: true
+  },
+  hierarchyLevel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HierarchyLevel',
+    required: function() {
+      return this.role === 'employee';
+    },
+    default: null
+  },
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
+  // Inactive members keep their history but cannot switch to the company
+  active: {
+    type: Boolean,
+    default: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Invited members only join once they accept. Until then the membership
+  // is inactive and hidden from the company, so an invite does not tell the
+  // company whether the email has an account.
+  pending: {
+    type: Boolean,
+    default: false
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+membershipSchema.index({ user: 1, company: 1 }, { unique: true });
+membershipSchema.index({ company: 1, active: 1 });
+membershipSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+membershipSchema.plugin(tenantPlugin, { ownerField: 'user' });
+
+module.exports = mongoose.model('Membership', membershipSchema);
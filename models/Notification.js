@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const notificationSchema = new mongoose.Schema({
   user: {
@@ -20,7 +21,8 @@ const notificationSchema = new mongoose.Schema({
       'PRIORITY_CHANGED',
       'MENTION',
       'TEAM_UPDATE',
-      'MEETING_INVITATION'
+      'MEETING_INVITATION',
+      'ACCOUNT_ACCESSED'
     ],
     required: true
   },
@@ -70,4 +72,6 @@ notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
 notificationSchema.index({ company: 1, createdAt: -1 });
 notificationSchema.index({ task: 1, type: 1 });
 
+notificationSchema.plugin(tenantPlugin, { ownerField: 'user' });
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const PLAN_FEATURES = ['chat', 'api_keys', 'sso'];
+
+// A subscription tier. Limits left empty are unlimited.
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  limits: {
+    // Users in the company, including invited ones and admins
+    seats: { type: Number, min: 1 },
+    // Total size of uploaded files
+    storageBytes: { type: Number, min: 0 },
+    // Chat messages older than this are deleted
+    chatRetentionDays: { type: Number, min: 1 }
+  },
+  features: [{
+    type: String,
+    enum: PLAN_FEATURES
+  }],
+  // Assigned to companies created without an explicit plan
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.statics.FEATURES = PLAN_FEATURES;
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh-token family: every rotation replaces the current
+// hash and keeps the old one around so reuse can be detected.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  ip: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a super admin is acting as this session's user
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Restricted sessions, e.g. 'password_change' after the password expired
+  scope: String,
+  // Company whose identity provider signed the user in; unset for password
+  // sign-ins. Switching into an SSO-only company needs its own SSO.
+  ssoCompany: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const attachmentSchema = new mongoose.Schema({
   filename: String,
@@ -58,11 +59,16 @@ const taskSchema = new mongoose.Schema({
     ref: 'Company',
     required: true
   },
+  // One of the statuses of the category's workflow (utils/taskWorkflow.js)
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed'],
     default: 'pending'
   },
+  // When the task entered a final status of its workflow; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -164,6 +170,16 @@ const taskSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Set when the change was made through an API key rather than a user session
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    // Set when a super admin made the change while impersonating performedBy
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     newStatus: String,
     timestamp: {
       type: Date,
@@ -176,8 +192,11 @@ const taskSchema = new mongoose.Schema({
 
 // Add indexes for better query performance
 taskSchema.index({ company: 1, status: 1 });
+taskSchema.index({ company: 1, completedAt: 1, dueDate: 1 });
 taskSchema.index({ assignedTo: 1, dueDate: 1 });
 taskSchema.index({ assignedBy: 1, company: 1 });
 taskSchema.index({ createdAt: -1 });
 
+taskSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+const statusSchema = new mongoose.Schema({
+  // Stored on tasks, e.g. 'in_review'
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  // Reaching a final status completes the task
+  final: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A company's task category and the workflow its tasks follow. Tasks refer to
+// it by name through Task.category.
+const taskCategorySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  statuses: [statusSchema],
+  initialStatus: {
+    type: String,
+    required: true
+  },
+  transitions: [{
+    _id: false,
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  }],
+  // Inactive categories keep their tasks but cannot be used for new ones
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taskCategorySchema.index({ company: 1, name: 1 }, { unique: true });
+
+taskCategorySchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('TaskCategory', taskCategorySchema);
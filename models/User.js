@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,9 +15,17 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    // Invited users set their own password when accepting the invitation
+    required: function() {
+      return this.status !== 'invited';
+    },
     select: false, // Don't include password by default in queries
   },
+  status: {
+    type: String,
+    enum: ['invited', 'active'],
+    default: 'active'
+  },
   role: {
     type: String,
     enum: ['super_admin', 'company_admin', 'employee'],
@@ -37,6 +46,10 @@ const userSchema = new mongoose.Schema({
     },
     default: null,
   },
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
   reportsTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -66,9 +79,47 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  lastLoginIp: {
+    type: String
+  },
+  // Subject identifier from the company's identity provider, set on first SSO login
+  ssoSubject: {
+    type: String
+  },
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodeHashes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Previous password hashes, newest last, for the company's reuse policy
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ company: 1, departments: 1 });
+
+// A user who belongs to several companies (see Membership) keeps reaching
+// their own account from whichever company they are working in, and shows up
+// in lookups of the companies they joined, such as populated assignees
+userSchema.plugin(tenantPlugin, { ownerField: '_id', ownRecordsAcrossCompanies: true, includeMembers: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
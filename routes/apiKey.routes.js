@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requireFeature } = require('../middleware/auth');
+const { createApiKey, getApiKeys, revokeApiKey } = require('../controllers/apiKey.controller');
+
+// API keys are managed by company admins only
+router.use(protect, authorize('company_admin'));
+
+router.post('/', requireFeature('api_keys'), createApiKey);
+router.get('/', getApiKeys);
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getAuditLogs } = require('../controllers/impersonation.controller');
+
+router.get('/', protect, authorize('super_admin', 'company_admin'), getAuditLogs);
+
+module.exports = router;
@@ -1,9 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/auth.controller');
+const {
+  protect,
+  protectLogout,
+  protectReadOnly,
+  protectMfaEnrollment,
+  denyImpersonation
+} = require('../middleware/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  getMyCompanies,
+  switchCompany
+} = require('../controllers/auth.controller');
+const { acceptInvite } = require('../controllers/invitation.controller');
+const { verifyMfaLogin, setupMfa, enableMfa } = require('../controllers/mfa.controller');
+const { startSso, ssoCallback } = require('../controllers/sso.controller');
+const { endImpersonation } = require('../controllers/impersonation.controller');
 
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/mfa/verify', verifyMfaLogin);
+// Enrollment during login for users whose company or role requires MFA
+router.post('/mfa/setup', protectMfaEnrollment, denyImpersonation, setupMfa);
+router.post('/mfa/enable', protectMfaEnrollment, denyImpersonation, enableMfa);
+router.post('/accept-invite', acceptInvite);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
-module.exports = router;
\ No newline at end of file
+// OpenID Connect single sign-on
+router.get('/sso/:companyId', startSso);
+router.get('/sso/:companyId/callback', ssoCallback);
+router.post('/logout', protectLogout, logout);
+router.post('/logout-all', protectLogout, denyImpersonation, logoutAll);
+router.post('/impersonation/end', protectLogout, endImpersonation);
+
+// Users who belong to several companies work in one of them at a time
+router.get('/companies', protect, getMyCompanies);
+router.post('/switch-company', protectReadOnly, denyImpersonation, switchCompany);
+
+module.exports = router;
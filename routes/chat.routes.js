@@ -1,15 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireFeature } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { bindTenant } = require('../utils/tenantContext');
 
 // Protect all routes with authentication
 router.use(protect);
 
 // Chat creation routes
-router.post('/direct', chatController.createDirectChat);
-router.post('/group', chatController.createGroupChat);
+router.post('/direct', requireFeature('chat'), chatController.createDirectChat);
+router.post('/group', requireFeature('chat'), chatController.createGroupChat);
 
 // Chat retrieval routes
 router.get('/user/chats', chatController.getUserChats);
@@ -17,7 +18,7 @@ router.get('/:chatId', chatController.getChatById);
 router.get('/:chatId/messages', chatController.getMessages);
 
 // Message management routes
-router.post('/:chatId/messages', upload.array('attachments', 10), chatController.sendMessage);
+router.post('/:chatId/messages', bindTenant(upload.array('attachments', 10)), chatController.sendMessage);
 router.put('/:chatId/messages/:messageId', chatController.editMessage);
 router.delete('/:chatId/messages/:messageId', chatController.deleteMessage);
 
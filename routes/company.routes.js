@@ -1,14 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectReadOnly, authorize, denyImpersonation } = require('../middleware/auth');
 const {
   createCompany,
   createCompanyWithAdmin,
   getCompanies,
   getCompany,
   getCompanyStats,
-  updateCompany
+  updateCompany,
+  suspendCompany,
+  reactivateCompany,
+  updateCompanyPlan,
+  getUsage,
+  getAllUsage,
+  scheduleDeletion,
+  cancelDeletion,
+  confirmDeletion,
+  getDeletionCertificates,
+  getDeletionCertificate,
+  updateSecuritySettings,
+  getSettings,
+  updateSettings,
+  getBranding,
+  updateBranding,
+  previewBrandingEmail
 } = require('../controllers/company.controller');
+const { getSsoConfig, updateSsoConfig } = require('../controllers/sso.controller');
+const {
+  createExport,
+  getExports,
+  getExport,
+  downloadExport
+} = require('../controllers/export.controller');
 
 // Make sure this route is before any routes with :id parameter
 router.post('/with-admin', protect, authorize('super_admin'), createCompanyWithAdmin);
@@ -17,9 +40,36 @@ router.post('/', protect, authorize('super_admin'), createCompany);
 router.get('/', protect, authorize('super_admin'), getCompanies);
 // Move stats route before the :id route to prevent conflicts
 router.get('/stats', protect, authorize('super_admin'), getCompanyStats);
+router.get('/usage', protect, authorize('super_admin'), getAllUsage);
+router.get('/deletion-certificates', protect, authorize('super_admin'), getDeletionCertificates);
+router.get('/deletion-certificates/:certificateId', protect, authorize('super_admin'), getDeletionCertificate);
 router.get('/:id', protect, getCompany);
 
 router.patch('/:id', protect, authorize('super_admin'), updateCompany);
+router.post('/:id/suspend', protect, authorize('super_admin'), suspendCompany);
+router.post('/:id/reactivate', protect, authorize('super_admin'), reactivateCompany);
+router.put('/:id/plan', protect, authorize('super_admin'), updateCompanyPlan);
+router.get('/:id/usage', protect, authorize('super_admin', 'company_admin'), getUsage);
+
+// Two-step deletion with a cooling-off period
+router.post('/:id/deletion', protect, authorize('super_admin'), scheduleDeletion);
+router.delete('/:id/deletion', protect, authorize('super_admin'), cancelDeletion);
+router.post('/:id/deletion/confirm', protect, authorize('super_admin'), confirmDeletion);
+router.patch('/:id/security', protect, authorize('super_admin', 'company_admin'), updateSecuritySettings);
+router.get('/:id/settings', protect, getSettings);
+router.put('/:id/settings', protect, authorize('super_admin', 'company_admin'), updateSettings);
+router.get('/:id/branding', protect, authorize('super_admin', 'company_admin'), getBranding);
+router.put('/:id/branding', protect, authorize('super_admin', 'company_admin'), updateBranding);
+router.post('/:id/branding/preview', protectReadOnly, authorize('super_admin', 'company_admin'), previewBrandingEmail);
+router.get('/:id/sso', protect, authorize('super_admin', 'company_admin'), getSsoConfig);
+router.put('/:id/sso', protect, authorize('super_admin', 'company_admin'), updateSsoConfig);
+
+// Data export for portability and offboarding, also during a read-only
+// suspension; impersonators cannot take data out
+router.post('/:id/exports', protectReadOnly, authorize('super_admin', 'company_admin'), denyImpersonation, createExport);
+router.get('/:id/exports', protect, authorize('super_admin', 'company_admin'), getExports);
+router.get('/:id/exports/:exportId', protect, authorize('super_admin', 'company_admin'), getExport);
+router.get('/:id/exports/:exportId/download', protect, authorize('super_admin', 'company_admin'), denyImpersonation, downloadExport);
 
 
 module.exports = router;
\ No newline at end of file
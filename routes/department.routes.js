@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const departmentController = require('../controllers/department.controller');
+
+router.use(protect);
+
+router.get('/', departmentController.getDepartments);
+router.get('/:id', departmentController.getDepartment);
+router.post('/', authorize('company_admin'), departmentController.createDepartment);
+router.put('/:id', authorize('company_admin'), departmentController.updateDepartment);
+router.delete('/:id', authorize('company_admin'), departmentController.deleteDepartment);
+
+// Membership
+router.post('/:id/members', authorize('company_admin'), departmentController.addMembers);
+router.delete('/:id/members/:userId', authorize('company_admin'), departmentController.removeMember);
+
+module.exports = router;
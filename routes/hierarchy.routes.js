@@ -1,16 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const hierarchyController = require('../controllers/hierarchy.controller');
+const { addEmployee } = require('../controllers/invitation.controller');
 
 // Add protect middleware to all routes
 router.use(protect);
 
 router.post('/', authorize('company_admin'), hierarchyController.createHierarchyLevel);
 router.get('/', hierarchyController.getCompanyHierarchy);
+router.get('/org-chart', hierarchyController.getOrgChart);
+router.get('/chain/:userId', hierarchyController.getChainOfCommand);
 router.put('/:id', authorize('company_admin'), hierarchyController.updateHierarchyLevel);
-router.post('/add-employee', authorize('company_admin'), hierarchyController.addEmployee);
-router.post('/bulk-create', authorize('company_admin'), hierarchyController.bulkCreateHierarchyLevels);
+router.delete('/:id', authorize('company_admin'), hierarchyController.deleteHierarchyLevel);
+router.post('/:id/move', authorize('company_admin'), hierarchyController.moveHierarchyLevel);
+router.post('/:id/renumber', authorize('company_admin'), hierarchyController.renumberHierarchyLevel);
+router.post('/add-employee', requirePermission('canManageUsers'), addEmployee);
+// Accepts JSON or a text/csv body
+router.post(
+  '/bulk-create',
+  authorize('company_admin'),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  hierarchyController.bulkCreateHierarchyLevels
+);
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const membershipController = require('../controllers/membership.controller');
+
+// Invited users accept from their own account
+router.post('/accept', protect, membershipController.acceptMembership);
+
+// Users from other companies who also work for this one
+router.use(protect, authorize('company_admin'));
+
+router.get('/', membershipController.getMemberships);
+router.post('/', membershipController.addMembership);
+router.patch('/:id', membershipController.updateMembership);
+router.delete('/:id', membershipController.removeMembership);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getPlans, createPlan, updatePlan, deletePlan } = require('../controllers/plan.controller');
+
+// Plans are managed by super admins only
+router.use(protect, authorize('super_admin'));
+
+router.get('/', getPlans);
+router.post('/', createPlan);
+router.patch('/:id', updatePlan);
+router.delete('/:id', deletePlan);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protectOrApiKey, requirePermission, requireTaskPermission } = require('../middleware/auth');
 const upload = require('../middleware/fileUpload');
+const { bindTenant } = require('../utils/tenantContext');
 const taskController = require('../controllers/task.controller');
 
 // Wrap async route handlers with error handling
@@ -9,35 +10,39 @@ const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
 // Task analytics routes
-router.get('/analytics', protect, authorize('company_admin'), asyncHandler(taskController.getTaskAnalytics));
-
-// Get tasks for current employee
-router.get('/my-tasks', protect, asyncHandler(taskController.getMyTasks));
-router.get('/my-stats', protect, asyncHandler(taskController.getMyStats));
-router.get('/my-tasks-createdby', protect, asyncHandler(taskController.getMyTasksCreatedBy));
-router.get('/assigned-tasks', protect, asyncHandler(taskController.getAssignedTasks));
-
-// Other task routes
-router.post('/', protect, upload.array('attachments'), asyncHandler(taskController.createTask));
-router.get('/', protect, asyncHandler(taskController.getTasks));
-router.get('/hierarchy', protect, asyncHandler(taskController.getTasksByHierarchy));
-router.get('/department/:dept', protect, asyncHandler(taskController.getTasksByDepartment));
-router.get('/timeline', protect, asyncHandler(taskController.getTaskTimeline));
-router.get('/:id', protect, asyncHandler(taskController.getTaskById));
+router.get('/analytics', protectOrApiKey('tasks:read'), requirePermission('canViewReports'), asyncHandler(taskController.getTaskAnalytics));
+
+// Get tasks for current employee; lists limited to the caller's own tasks
+// or reporting line need no level permission
+router.get('/my-tasks', protectOrApiKey('tasks:read'), asyncHandler(taskController.getMyTasks));
+router.get('/my-stats', protectOrApiKey('tasks:read'), asyncHandler(taskController.getMyStats));
+router.get('/my-tasks-createdby', protectOrApiKey('tasks:read'), asyncHandler(taskController.getMyTasksCreatedBy));
+router.get('/assigned-tasks', protectOrApiKey('tasks:read'), asyncHandler(taskController.getAssignedTasks));
+
+// Other task routes. Company-wide lists count as reports and need
+// canViewReports. /hierarchy, /:id and /created-by-me only read the caller's
+// own tasks and their reports'. Changing a task needs canEditTasks, except
+// for its assignee and assigner working on it (only the assignee completes it).
+router.post('/', protectOrApiKey('tasks:write'), requirePermission('canCreateTasks', 'canAssignTasks'), bindTenant(upload.array('attachments')), asyncHandler(taskController.createTask));
+router.get('/', protectOrApiKey('tasks:read'), requirePermission('canViewReports'), asyncHandler(taskController.getTasks));
+router.get('/hierarchy', protectOrApiKey('tasks:read'), asyncHandler(taskController.getTasksByHierarchy));
+router.get('/department/:dept', protectOrApiKey('tasks:read'), requirePermission('canViewReports'), asyncHandler(taskController.getTasksByDepartment));
+router.get('/timeline', protectOrApiKey('tasks:read'), requirePermission('canViewReports'), asyncHandler(taskController.getTaskTimeline));
+router.get('/:id', protectOrApiKey('tasks:read'), asyncHandler(taskController.getTaskById));
 // router.put('/:id', protect, upload.array('attachments'), asyncHandler(taskController.updateTask));
-router.delete('/:id', protect, asyncHandler(taskController.deleteTask));
-router.post('/:id/comments', protect, asyncHandler(taskController.addComment));
+router.delete('/:id', protectOrApiKey('tasks:write'), requirePermission('canDeleteTasks'), asyncHandler(taskController.deleteTask));
+router.post('/:id/comments', protectOrApiKey('tasks:write'), requireTaskPermission('canEditTasks'), asyncHandler(taskController.addComment));
 
-router.patch('/:id/status', protect, asyncHandler(taskController.updateTaskStatus));
-router.patch('/:id', protect, asyncHandler(taskController.updateTask));
-router.get('/created-by-me', protect, taskController.getTasksCreatedByMe);
+router.patch('/:id/status', protectOrApiKey('tasks:write'), requireTaskPermission('canEditTasks'), asyncHandler(taskController.updateTaskStatus));
+router.patch('/:id', protectOrApiKey('tasks:write'), requirePermission('canEditTasks'), asyncHandler(taskController.updateTask));
+router.get('/created-by-me', protectOrApiKey('tasks:read'), taskController.getTasksCreatedByMe);
 
-router.patch('/:id/comments', protect, asyncHandler(taskController.patchAddComment));
+router.patch('/:id/comments', protectOrApiKey('tasks:write'), requireTaskPermission('canEditTasks'), asyncHandler(taskController.patchAddComment));
 
 // Add the new route for task completion submission
-router.post('/:id/complete', protect, upload.array('attachments'), asyncHandler(taskController.submitTaskCompletion));
+router.post('/:id/complete', protectOrApiKey('tasks:write'), requireTaskPermission('canEditTasks', { exempt: ['assignedTo'] }), bindTenant(upload.array('attachments')), asyncHandler(taskController.submitTaskCompletion));
 
 // Add route for adding attachments to a completed task
-router.post('/:id/attachments', protect, upload.array('attachments'), asyncHandler(taskController.addTaskAttachments));
+router.post('/:id/attachments', protectOrApiKey('tasks:write'), requireTaskPermission('canEditTasks'), bindTenant(upload.array('attachments')), asyncHandler(taskController.addTaskAttachments));
 
 module.exports = router;
\ No newline at end of file
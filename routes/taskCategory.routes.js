@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const taskCategoryController = require('../controllers/taskCategory.controller');
+
+router.use(protect);
+
+router.get('/', taskCategoryController.getCategories);
+router.get('/:id', taskCategoryController.getCategory);
+router.post('/', authorize('company_admin'), taskCategoryController.createCategory);
+router.put('/:id', authorize('company_admin'), taskCategoryController.updateCategory);
+router.delete('/:id', authorize('company_admin'), taskCategoryController.deleteCategory);
+
+module.exports = router;
@@ -1,25 +1,54 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { addEmployee } = require('../controllers/auth.controller');
+const {
+  protect,
+  protectOrApiKey,
+  protectPasswordChange,
+  denyImpersonation,
+  authorize,
+  requirePermission
+} = require('../middleware/auth');
+const {
+  addEmployee,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitation.controller');
+const {
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes
+} = require('../controllers/mfa.controller');
 const {
   getCompanyEmployees,
   updateUser,
   getUserProfile,
   updateProfile,
   changePassword,
+  getMyPasswordPolicy,
   uploadAvatar,
   updateEmployeeProfile,
   deleteEmployee,
+  unlockEmployee,
+  getEmployeeSessions,
+  revokeEmployeeSession,
+  revokeAllEmployeeSessions,
+  getMySessions,
+  revokeMySession,
+  getMyLoginHistory,
   getMyTeam,
   getMyStats,
   getCompanyUsers
 } = require('../controllers/user.controller');
+const { startImpersonation } = require('../controllers/impersonation.controller');
 
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const errorHandler = require('../middleware/error');
+const withStorageQuota = require('../middleware/storageQuota');
+const { bindTenant } = require('../utils/tenantContext');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = 'uploads/avatars';
@@ -39,7 +68,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage,
+  storage: withStorageQuota(storage),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png/;
@@ -56,21 +85,44 @@ const upload = multer({
 // Employee routes
 router.get('/my-team', protect, authorize('employee'), getMyTeam);
 router.get('/my-stats', protect, authorize('employee'), getMyStats);
-router.get('/company-users', protect, getCompanyUsers);
+router.get('/company-users', protectOrApiKey('users:read'), getCompanyUsers);
 
 
-// Employee management routes (company admin only)
-router.post('/add-employee', protect, authorize('company_admin'), addEmployee);
-router.get('/employees', protect, authorize('company_admin'), getCompanyEmployees);
-router.patch('/employees/:id', protect, authorize('company_admin'), updateEmployeeProfile);
-router.delete('/employees/:id', protect, authorize('company_admin'), deleteEmployee);
+// Employee management routes (company admins and levels with canManageUsers)
+router.post('/add-employee', protect, requirePermission('canManageUsers'), addEmployee);
+router.get('/employees', protectOrApiKey('users:read'), requirePermission('canManageUsers'), getCompanyEmployees);
+router.patch('/employees/:id', protect, requirePermission('canManageUsers'), updateEmployeeProfile);
+router.delete('/employees/:id', protect, requirePermission('canManageUsers'), deleteEmployee);
+router.post('/employees/:id/unlock', protect, requirePermission('canManageUsers'), unlockEmployee);
+router.get('/employees/:id/sessions', protect, requirePermission('canManageUsers'), getEmployeeSessions);
+router.delete('/employees/:id/sessions', protect, requirePermission('canManageUsers'), revokeAllEmployeeSessions);
+router.delete('/employees/:id/sessions/:sessionId', protect, requirePermission('canManageUsers'), revokeEmployeeSession);
+
+// Invitation management routes (company admins and levels with canManageUsers)
+router.get('/invites', protect, requirePermission('canManageUsers'), getInvitations);
+router.post('/invites/:id/resend', protect, requirePermission('canManageUsers'), resendInvitation);
+router.delete('/invites/:id', protect, requirePermission('canManageUsers'), revokeInvitation);
+
+// Support access (super admin only)
+router.post('/:id/impersonate', protect, authorize('super_admin'), startImpersonation);
 
 
 // Profile routes
 router.get('/profile', protect, getUserProfile);
 router.patch('/profile', protect, updateProfile);
-router.patch('/profile/password', protect, changePassword);
-router.patch('/profile/avatar', protect, upload.single('avatar'), uploadAvatar, errorHandler);
+// Also reachable with the restricted token issued for an expired password
+router.patch('/profile/password', protectPasswordChange, denyImpersonation, changePassword);
+router.get('/profile/password-policy', protectPasswordChange, getMyPasswordPolicy);
+router.patch('/profile/avatar', protect, bindTenant(upload.single('avatar')), uploadAvatar, errorHandler);
+router.get('/profile/sessions', protect, getMySessions);
+router.delete('/profile/sessions/:sessionId', protect, denyImpersonation, revokeMySession);
+router.get('/profile/login-history', protect, getMyLoginHistory);
+
+// Two-factor authentication routes
+router.post('/profile/mfa/setup', protect, denyImpersonation, setupMfa);
+router.post('/profile/mfa/enable', protect, denyImpersonation, enableMfa);
+router.post('/profile/mfa/disable', protect, denyImpersonation, disableMfa);
+router.post('/profile/mfa/recovery-codes', protect, denyImpersonation, regenerateRecoveryCodes);
 
 
 
@@ -0,0 +1,42 @@
+// One-off migration: chats created before tenant isolation have no company.
+// Sets it from the participants; chats mixing companies are reported and left alone.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { Chat } = require('../models/Chat');
+
+dotenv.config();
+
+const backfill = async () => {
+  await connectDB();
+
+  const chats = await Chat.find({ company: { $exists: false } }).select('participants');
+  let updated = 0;
+  const skipped = [];
+
+  for (const chat of chats) {
+    const companies = await User.distinct('company', { _id: { $in: chat.participants } });
+
+    if (companies.length !== 1) {
+      skipped.push(chat._id.toString());
+      continue;
+    }
+
+    await Chat.updateOne({ _id: chat._id }, { $set: { company: companies[0] } });
+    updated += 1;
+  }
+
+  console.log(`Backfilled company on ${updated} of ${chats.length} chats`);
+  if (skipped.length > 0) {
+    console.warn(`Skipped ${skipped.length} chats with participants from zero or several companies:`);
+    skipped.forEach(id => console.warn(`  ${id}`));
+  }
+};
+
+backfill()
+  .catch(error => {
+    console.error('Chat company backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
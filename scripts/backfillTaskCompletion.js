@@ -0,0 +1,39 @@
+// One-off migration: tasks created before completedAt existed only show they
+// are done through their status. Sets completedAt on every task in a final
+// status of its category's workflow, using the task's last update as the time.
+// Safe to run again; tasks that already have completedAt are left alone.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Task = require('../models/Task');
+const { getTaskWorkflow, isFinalStatus } = require('../utils/taskWorkflow');
+
+dotenv.config();
+
+const backfill = async () => {
+  await connectDB();
+
+  const tasks = await Task.find({ completedAt: null }).select('company category status updatedAt');
+  const workflows = new Map();
+  let updated = 0;
+
+  for (const task of tasks) {
+    const key = `${task.company}:${task.category}`;
+    if (!workflows.has(key)) {
+      workflows.set(key, await getTaskWorkflow(task));
+    }
+    if (!isFinalStatus(workflows.get(key), task.status)) continue;
+
+    await Task.updateOne({ _id: task._id }, { $set: { completedAt: task.updatedAt || new Date() } });
+    updated += 1;
+  }
+
+  console.log(`Backfilled completedAt on ${updated} of ${tasks.length} tasks without it`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('Task completion backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
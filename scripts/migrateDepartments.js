@@ -0,0 +1,59 @@
+// One-off migration: hierarchy levels used to name their departments with a
+// fixed list of strings. Creates a Department per company for each name,
+// points departmentScope at it and makes the users on that level members.
+// Safe to run again; levels already holding ids are left alone.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const Department = require('../models/Department');
+
+dotenv.config();
+
+const departmentId = async (companyId, name) => {
+  const department = await Department.findOneAndUpdate(
+    { company: companyId, name },
+    { $setOnInsert: { company: companyId, name } },
+    { upsert: true, new: true }
+  );
+  return department._id;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  // Read the raw documents; the schema now casts departmentScope to ids
+  const levels = await HierarchyLevel.collection
+    .find({ departmentScope: { $type: 'string' } })
+    .project({ company: 1, departmentScope: 1 })
+    .toArray();
+
+  const departmentsBefore = await Department.countDocuments();
+  let members = 0;
+
+  for (const level of levels) {
+    const scope = [];
+    for (const value of level.departmentScope) {
+      scope.push(typeof value === 'string' ? await departmentId(level.company, value) : value);
+    }
+
+    await HierarchyLevel.collection.updateOne({ _id: level._id }, { $set: { departmentScope: scope } });
+
+    const result = await User.updateMany(
+      { company: level.company, hierarchyLevel: level._id },
+      { $addToSet: { departments: { $each: scope } } }
+    );
+    members += result.modifiedCount;
+  }
+
+  const created = (await Department.countDocuments()) - departmentsBefore;
+  console.log(`Migrated ${levels.length} hierarchy levels, created ${created} departments, updated ${members} users`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Department migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,6 +5,8 @@ const dotenv = require('dotenv');
 const { createServer } = require('http');
 const { initializeSocket } = require('./socket');
 const { initializeScheduledTasks } = require('./utils/scheduleHelper');
+const { TenantIsolationError } = require('./utils/tenantPlugin');
+const { QuotaExceededError } = require('./utils/planLimits');
 
 // const userRoutes = require('./routes/user.routes');
 
@@ -52,6 +54,12 @@ app.use('/api/hierarchy', require('./routes/hierarchy.routes'));
 app.use('/api/notifications', require('./routes/notification.routes'));
 // Add this line with other routes
 app.use('/api/chats', require('./routes/chat.routes'));
+app.use('/api/api-keys', require('./routes/apiKey.routes'));
+app.use('/api/audit-logs', require('./routes/auditLog.routes'));
+app.use('/api/plans', require('./routes/plan.routes'));
+app.use('/api/departments', require('./routes/department.routes'));
+app.use('/api/task-categories', require('./routes/taskCategory.routes'));
+app.use('/api/memberships', require('./routes/membership.routes'));
 
 
 
@@ -59,6 +67,12 @@ app.use('/api/chats', require('./routes/chat.routes'));
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
+  if (err instanceof TenantIsolationError) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  if (err instanceof QuotaExceededError) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
   res.status(500).json({ message: 'Something broke!' });
 });
 
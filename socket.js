@@ -1,12 +1,18 @@
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
 const { Chat } = require('./models/Chat');
+const { verifyAccessToken } = require('./utils/sessionHelper');
+const { getMembership } = require('./utils/membershipHelper');
+const { tenantContextFor, runWithTenant } = require('./utils/tenantContext');
+const { loadCompanyStatus, COMPANY_READ_ONLY_RESPONSE } = require('./utils/companyStatus');
 
 let io;
 const userSockets = new Map(); // Track user online status
 const userRooms = new Map(); // Track which rooms a user has joined
 
+// Events that change data; dropped for companies in read-only mode
+const WRITE_EVENTS = ['sendMessage', 'messageRead', 'addReaction', 'removeReaction', 'deleteMessage'];
+
 const initializeSocket = (server) => {
   io = socketIo(server, {
     cors: {
@@ -23,9 +29,35 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error'));
       }
       
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Rejects tokens whose session has been revoked
+      const { decoded, session } = await verifyAccessToken(token);
+
+      // Realtime events bypass the HTTP audit trail, so impersonation stays off
+      // sockets; restricted sessions may only change their password
+      if (session.impersonator || session.scope) {
+        return next(new Error('Authentication error'));
+      }
+
+      // Permissions come from the membership in the session's company, not
+      // from the token, so a removed member or changed role applies at once
+      const user = await User.findById(decoded.id).select('role company hierarchyLevel reportsTo departments active');
+      const membership = user && user.active && await getMembership(user, session.company);
+      if (!membership) {
+        return next(new Error('Authentication error'));
+      }
+      const companyId = membership.company ? membership.company.toString() : null;
+
+      const companyStatus = await loadCompanyStatus(companyId);
+      if (companyStatus === 'suspended') {
+        return next(new Error('Company suspended'));
+      }
+
       socket.userId = decoded.id;
-      socket.companyId = decoded.company;
+      socket.companyId = companyId;
+      socket.role = membership.role;
+      socket.sessionId = session._id.toString();
+      socket.readOnly = companyStatus === 'read_only';
+      socket.tenant = tenantContextFor({ _id: decoded.id, role: membership.role, company: companyId });
       next();
     } catch (error) {
       next(new Error('Authentication error'));
@@ -54,7 +86,7 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error: Token missing'));
       }
       
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const { decoded } = await verifyAccessToken(token);
       socket.userId = decoded.id;
       
       // Update user as online in the database
@@ -72,6 +104,15 @@ const initializeSocket = (server) => {
 
   io.on('connection', async (socket) => {
     console.log(`User ${socket.userId} connected`);
+
+    // Every event handler runs in the user's tenant context, like HTTP requests
+    socket.use(([event], next) => {
+      if (socket.readOnly && WRITE_EVENTS.includes(event)) {
+        socket.emit('companyReadOnly', COMPANY_READ_ONLY_RESPONSE);
+        return;
+      }
+      runWithTenant(socket.tenant, next);
+    });
     
     // Track socket for user status
     userSockets.set(socket.userId, socket.id);
@@ -85,14 +126,23 @@ const initializeSocket = (server) => {
 
     // Join user's personal room for direct messages
     socket.join(`user-${socket.userId}`);
+
+    // Session room lets a revoked session disconnect its sockets
+    socket.join(`session-${socket.sessionId}`);
+
+    // Company room lets a suspension or reactivation reconnect the company's
+    // sockets so they pick up the new read-only state
+    if (socket.companyId) {
+      socket.join(`company-${socket.companyId}`);
+    }
     console.log(`User ${socket.userId} joined their personal room`);
 
     // Auto-join all user's chat rooms
     try {
-      const userChats = await Chat.find(
+      const userChats = await runWithTenant(socket.tenant, () => Chat.find(
         { 'participants.user': socket.userId },
         '_id'
-      );
+      ).exec());
       
       userChats.forEach(chat => {
         const roomId = `chat-${chat._id}`;
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { generateToken, hashToken } = require('./tokenHelper');
+
+const KEY_PREFIX = 'wz';
+// Avoid a write on every request; last-used is only refreshed this often
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys look like "wz_<prefix>_<secret>"; only the hash of the full key is stored
+exports.generateApiKey = () => {
+  const prefix = generateToken(6);
+  const key = `${KEY_PREFIX}_${prefix}_${generateToken(32)}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Resolve a raw key to its ApiKey document, or null if unknown, revoked or expired
+exports.authenticateApiKey = async (rawKey, ip) => {
+  const [marker, prefix, secret] = String(rawKey).split('_');
+  if (marker !== KEY_PREFIX || !prefix || !secret) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashToken(rawKey));
+  const stored = Buffer.from(apiKey.keyHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ip }
+    );
+  }
+
+  return apiKey;
+};
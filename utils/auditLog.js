@@ -0,0 +1,56 @@
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const NotificationHelper = require('./notificationHelper');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Never lets an audit failure break the request being audited
+exports.recordAudit = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Log every write made under impersonation once its response has been sent
+exports.auditImpersonatedWrites = (req, res) => {
+  if (READ_METHODS.includes(req.method)) return;
+
+  res.on('finish', () => {
+    exports.recordAudit({
+      actor: req.impersonatedBy,
+      impersonatedUser: req.user._id,
+      company: req.user.company,
+      session: req.session._id,
+      action: 'IMPERSONATED_WRITE',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+};
+
+// Tell the impersonated user their account was accessed. Runs once per
+// impersonation, whether it was ended explicitly or simply expired.
+exports.notifyImpersonationFinished = async (startEntry, endedAt = new Date()) => {
+  const claimed = await AuditLog.findOneAndUpdate(
+    { _id: startEntry._id, notifiedAt: null },
+    { notifiedAt: new Date() }
+  );
+  if (!claimed) return;
+
+  const [user, writeCount] = await Promise.all([
+    User.findById(startEntry.impersonatedUser),
+    AuditLog.countDocuments({ session: startEntry.session, action: 'IMPERSONATED_WRITE' })
+  ]);
+  if (!user) return;
+
+  await NotificationHelper.accountAccessed(user, {
+    startedAt: startEntry.createdAt,
+    endedAt,
+    writeCount
+  });
+};
@@ -0,0 +1,123 @@
+// Company branding for emails and links: logo, colors, sender, footer and the
+// frontend domain the company's users open
+
+const DEFAULT_BRANDING = {
+  logoUrl: null,
+  primaryColor: '#2563eb',
+  textColor: '#1f2937',
+  senderName: 'Workzen',
+  replyTo: null,
+  emailFooter: null,
+  frontendUrl: null
+};
+
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const MAX_FOOTER_LENGTH = 1000;
+
+const brandingError = (field, code, message) => ({ field, code, message });
+
+exports.DEFAULT_BRANDING = DEFAULT_BRANDING;
+
+exports.escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Origin of the frontend for links in emails and redirects
+exports.frontendUrl = (branding) =>
+  (branding?.frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Stored branding with defaults for everything the company has not set
+exports.resolveBranding = (stored = {}) => {
+  const branding = { ...DEFAULT_BRANDING };
+  Object.keys(DEFAULT_BRANDING).forEach(key => {
+    if (stored[key] !== undefined && stored[key] !== null && stored[key] !== '') {
+      branding[key] = stored[key];
+    }
+  });
+  return branding;
+};
+
+const normalizeUrl = (value, { originOnly = false } = {}) => {
+  try {
+    const url = new URL(value);
+    const local = ['localhost', '127.0.0.1'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) return null;
+    if (url.username || url.password) return null;
+    if (originOnly) {
+      return url.pathname === '/' && !url.search && !url.hash ? url.origin : null;
+    }
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate a branding update; null clears a field back to its default
+exports.normalizeBranding = (input) => {
+  const branding = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { branding, errors: [brandingError('', 'invalid_type', 'branding must be an object')] };
+  }
+
+  const { logoUrl, primaryColor, textColor, senderName, replyTo, emailFooter, frontendUrl } = input;
+
+  if (logoUrl !== undefined) {
+    const url = logoUrl === null ? null : normalizeUrl(logoUrl);
+    if (logoUrl !== null && !url) {
+      errors.push(brandingError('logoUrl', 'invalid_url', 'logoUrl must be an https URL'));
+    } else {
+      branding.logoUrl = url;
+    }
+  }
+
+  [['primaryColor', primaryColor], ['textColor', textColor]].forEach(([field, value]) => {
+    if (value === undefined) return;
+    if (value !== null && !COLOR_PATTERN.test(value)) {
+      errors.push(brandingError(field, 'invalid_color', `${field} must be a hex color such as #2563eb`));
+    } else {
+      branding[field] = value;
+    }
+  });
+
+  if (senderName !== undefined) {
+    const name = typeof senderName === 'string' ? senderName.trim() : senderName;
+    if (name !== null && (typeof name !== 'string' || !name || name.length > 100 || /[\r\n<>"]/.test(name))) {
+      errors.push(brandingError('senderName', 'invalid_sender_name', 'senderName must be 1-100 characters without quotes or angle brackets'));
+    } else {
+      branding.senderName = name;
+    }
+  }
+
+  if (replyTo !== undefined) {
+    if (replyTo !== null && (typeof replyTo !== 'string' || !EMAIL_PATTERN.test(replyTo))) {
+      errors.push(brandingError('replyTo', 'invalid_email', 'replyTo must be an email address'));
+    } else {
+      branding.replyTo = replyTo ? replyTo.toLowerCase() : null;
+    }
+  }
+
+  if (emailFooter !== undefined) {
+    if (emailFooter !== null && (typeof emailFooter !== 'string' || emailFooter.length > MAX_FOOTER_LENGTH)) {
+      errors.push(brandingError('emailFooter', 'invalid_footer', `emailFooter must be text of at most ${MAX_FOOTER_LENGTH} characters`));
+    } else {
+      branding.emailFooter = emailFooter;
+    }
+  }
+
+  if (frontendUrl !== undefined) {
+    const url = frontendUrl === null ? null : normalizeUrl(frontendUrl, { originOnly: true });
+    if (frontendUrl !== null && !url) {
+      errors.push(brandingError('frontendUrl', 'invalid_url', 'frontendUrl must be an https origin such as https://tasks.example.com'));
+    } else {
+      branding.frontendUrl = url;
+    }
+  }
+
+  return { branding, errors };
+};
@@ -0,0 +1,258 @@
+const Company = require('../models/Company');
+
+// Company-local dates and working time, computed with Intl so no timezone
+// database has to be bundled.
+const DEFAULT_SETTINGS = {
+  timezone: 'UTC',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: { start: '09:00', end: '17:00' },
+  holidays: [],
+  locale: 'en-US',
+  dateFormat: 'YYYY-MM-DD'
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const offsetAt = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// The instant a local wall-clock time occurs. The second pass corrects for a
+// DST change between the guess and the answer.
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetAt(new Date(guess), timeZone);
+  return new Date(guess - offsetAt(new Date(first), timeZone));
+};
+
+const parseTime = (value) => {
+  const [hour, minute] = value.split(':').map(Number);
+  return { hour, minute, minutes: hour * 60 + minute };
+};
+
+exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+exports.DATE_FORMATS = DATE_FORMATS;
+
+exports.isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+exports.isValidLocale = (locale) => {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Stored settings merged over the defaults
+exports.resolveSettings = (settings = {}) => ({
+  ...DEFAULT_SETTINGS,
+  ...settings,
+  workingHours: { ...DEFAULT_SETTINGS.workingHours, ...(settings.workingHours || {}) }
+});
+
+exports.getCompanySettings = async (companyId) => {
+  const company = companyId ? await Company.findById(companyId).select('settings') : null;
+  return exports.resolveSettings(company?.toObject().settings);
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const settingError = (field, code, message) => ({ field: `settings.${field}`, code, message });
+
+// Validate a settings update; returns the fields to store and any errors
+exports.normalizeSettings = (input) => {
+  const settings = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings, errors: [settingError('', 'invalid_type', 'settings must be an object')] };
+  }
+
+  const { timezone, workingDays, workingHours, holidays, locale, dateFormat } = input;
+
+  if (timezone !== undefined) {
+    if (typeof timezone !== 'string' || !exports.isValidTimezone(timezone)) {
+      errors.push(settingError('timezone', 'invalid_timezone', 'timezone must be an IANA timezone such as Europe/Berlin'));
+    } else {
+      settings.timezone = timezone;
+    }
+  }
+
+  if (workingDays !== undefined) {
+    const valid = Array.isArray(workingDays)
+      && workingDays.length > 0
+      && workingDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!valid) {
+      errors.push(settingError('workingDays', 'invalid_working_days', 'workingDays must list weekdays from 0 (Sunday) to 6 (Saturday)'));
+    } else {
+      settings.workingDays = [...new Set(workingDays)].sort();
+    }
+  }
+
+  if (workingHours !== undefined) {
+    const { start, end } = workingHours || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      errors.push(settingError('workingHours', 'invalid_time', 'workingHours start and end must be HH:mm'));
+    } else if (parseTime(start).minutes >= parseTime(end).minutes) {
+      errors.push(settingError('workingHours', 'invalid_range', 'workingHours must start before they end'));
+    } else {
+      settings.workingHours = { start, end };
+    }
+  }
+
+  if (holidays !== undefined) {
+    const valid = Array.isArray(holidays) && holidays.every(holiday =>
+      holiday
+      && DATE_PATTERN.test(holiday.date)
+      && !Number.isNaN(Date.parse(holiday.date))
+      && (holiday.name === undefined || typeof holiday.name === 'string'));
+    if (!valid) {
+      errors.push(settingError('holidays', 'invalid_holidays', 'holidays must be a list of { date: YYYY-MM-DD, name }'));
+    } else {
+      settings.holidays = holidays
+        .map(({ date, name }) => ({ date, name }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+  }
+
+  if (locale !== undefined) {
+    if (typeof locale !== 'string' || !exports.isValidLocale(locale)) {
+      errors.push(settingError('locale', 'invalid_locale', 'locale must be a supported BCP 47 tag such as en-GB'));
+    } else {
+      settings.locale = locale;
+    }
+  }
+
+  if (dateFormat !== undefined) {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      errors.push(settingError('dateFormat', 'invalid_date_format', `dateFormat must be one of ${DATE_FORMATS.join(', ')}`));
+    } else {
+      settings.dateFormat = dateFormat;
+    }
+  }
+
+  return { settings, errors };
+};
+
+// Local calendar date as YYYY-MM-DD
+exports.dateKey = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Start and end instants of the local day containing date
+exports.dayBounds = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const next = new Date(Date.UTC(year, month - 1, day) + DAY);
+
+  return {
+    start: zonedTimeToUtc(year, month, day, 0, 0, timeZone),
+    end: zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone)
+  };
+};
+
+exports.isHoliday = (date, settings) => {
+  const key = exports.dateKey(date, settings.timezone);
+  return settings.holidays.some(holiday => holiday.date === key);
+};
+
+exports.isWorkingDay = (date, settings) =>
+  settings.workingDays.includes(zonedParts(date, settings.timezone).weekday)
+  && !exports.isHoliday(date, settings);
+
+// Whether the local time falls in [time, time + windowMinutes), for jobs that
+// run every few minutes and should fire once at a local time
+exports.isLocalTimeWithin = (date, time, windowMinutes, timeZone) => {
+  const { hour, minute } = zonedParts(date, timeZone);
+  const now = hour * 60 + minute;
+  const target = parseTime(time).minutes;
+  return now >= target && now < target + windowMinutes;
+};
+
+// End of working hours on the next working day after date, e.g. Friday's
+// reminder covers tasks due by Monday evening
+exports.nextWorkingDayEnd = (date, settings) => {
+  const { hour, minute } = parseTime(settings.workingHours.end);
+  let cursor = exports.dayBounds(date, settings.timezone).end;
+
+  // A year of holidays is the most that can stand in the way
+  for (let i = 0; i < 366; i++) {
+    if (exports.isWorkingDay(cursor, settings)) {
+      const p = zonedParts(cursor, settings.timezone);
+      return zonedTimeToUtc(p.year, p.month, p.day, hour, minute, settings.timezone);
+    }
+    cursor = exports.dayBounds(new Date(cursor.getTime() + DAY / 2), settings.timezone).end;
+  }
+
+  return new Date(date.getTime() + DAY);
+};
+
+// Format a date in the company's timezone and date format, with the time
+// rendered in the company's locale
+exports.formatDateTime = (date, settings) => {
+  const { year, month, day } = zonedParts(date, settings.timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const datePart = settings.dateFormat
+    .replace('YYYY', year)
+    .replace('MM', pad(month))
+    .replace('DD', pad(day));
+
+  const timePart = new Intl.DateTimeFormat(settings.locale, {
+    timeZone: settings.timezone,
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+
+  return `${datePart} ${timePart}`;
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const Department = require('../models/Department');
+const Membership = require('../models/Membership');
+const Task = require('../models/Task');
+const TaskCategory = require('../models/TaskCategory');
+const Notification = require('../models/Notification');
+const { Chat } = require('../models/Chat');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const ApiKey = require('../models/ApiKey');
+const LoginEvent = require('../models/LoginEvent');
+const SsoState = require('../models/SsoState');
+const AuditLog = require('../models/AuditLog');
+const ExportJob = require('../models/ExportJob');
+const DeletionCertificate = require('../models/DeletionCertificate');
+const { revokeCompanySessions } = require('./sessionHelper');
+const { resolveUpload, listFiles, companyUploadDir } = require('./uploadFiles');
+
+const COOLING_OFF_DAYS = Number(process.env.COMPANY_DELETION_COOLING_OFF_DAYS) || 7;
+
+exports.COOLING_OFF_DAYS = COOLING_OFF_DAYS;
+
+// Uploads outside the company directory that belong to it: chat attachments
+// and avatars live in shared directories
+const sharedUploads = async (companyId) => {
+  const paths = [];
+
+  const users = await User.find({ company: companyId, avatar: { $ne: '' } }).select('avatar').lean();
+  users.forEach(user => paths.push(user.avatar));
+
+  const chats = await Chat.find({ company: companyId, 'messages.attachments.0': { $exists: true } })
+    .select('messages.attachments.fileUrl')
+    .lean();
+  chats.forEach(chat => chat.messages.forEach(message => {
+    (message.attachments || []).forEach(file => paths.push(file.fileUrl));
+  }));
+
+  const exportJobs = await ExportJob.find({ company: companyId, filePath: { $exists: true } })
+    .select('+filePath')
+    .lean();
+
+  return {
+    uploads: paths.filter(Boolean).map(resolveUpload).filter(Boolean),
+    exports: exportJobs.map(job => job.filePath)
+  };
+};
+
+const removeFiles = async (files) => {
+  let count = 0;
+  let bytes = 0;
+
+  for (const file of files) {
+    try {
+      const { size } = await fs.promises.stat(file);
+      await fs.promises.rm(file, { force: true });
+      count += 1;
+      bytes += size;
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  return { count, bytes };
+};
+
+// Certificates are signed with a server secret, so whoever can edit the
+// stored record cannot recompute a matching digest
+const signingKey = () => process.env.DELETION_CERTIFICATE_SECRET;
+
+exports.canSignCertificates = () => Boolean(signingKey());
+
+const digestOf = (certificate) => crypto
+  .createHmac('sha256', signingKey())
+  .update(JSON.stringify({
+    company: certificate.company.toString(),
+    companyName: certificate.companyName,
+    reason: certificate.reason,
+    scheduledBy: certificate.scheduledBy?.toString(),
+    scheduledAt: certificate.scheduledAt,
+    confirmedBy: certificate.confirmedBy.toString(),
+    deletedAt: certificate.deletedAt,
+    removed: certificate.removed,
+    removedBytes: certificate.removedBytes
+  }))
+  .digest('hex');
+
+exports.verifyCertificate = (certificate) => {
+  if (!exports.canSignCertificates()) return false;
+
+  const { removed, ...rest } = certificate.toObject();
+  const expected = Buffer.from(digestOf({ ...rest, removed: Object.fromEntries(removed || []) }));
+  const actual = Buffer.from(certificate.digest || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Remove a company and everything that belongs to it, then issue the
+// certificate. Each step can safely run again if a previous attempt stopped
+// part way, so a failed deletion is retried by confirming again.
+exports.deleteCompany = async (company, confirmedBy) => {
+  // Checked first: nothing is removed unless the certificate can be signed
+  if (!exports.canSignCertificates()) {
+    throw new Error('DELETION_CERTIFICATE_SECRET is not set');
+  }
+
+  const companyId = company._id;
+  const removed = {};
+
+  // Sign everyone out before their data disappears
+  await revokeCompanySessions(companyId, 'company_deleted');
+
+  const { uploads, exports: exportArchives } = await sharedUploads(companyId);
+  const companyFiles = await listFiles(companyUploadDir(companyId));
+
+  const messageCounts = await Chat.aggregate([
+    { $match: { company: companyId } },
+    { $group: { _id: null, messages: { $sum: { $size: { $ifNull: ['$messages', []] } } } } }
+  ]);
+  removed.messages = messageCounts[0]?.messages || 0;
+
+  // Memberships the company's users hold elsewhere end with their accounts
+  const userIds = await User.find({ company: companyId }).distinct('_id');
+  const ownMemberships = await Membership.deleteMany({ user: { $in: userIds } })
+    .setOptions({ crossTenant: true });
+  removed.externalMemberships = ownMemberships.deletedCount;
+
+  const collections = [
+    ['users', User],
+    ['memberships', Membership],
+    ['hierarchyLevels', HierarchyLevel],
+    ['departments', Department],
+    ['tasks', Task],
+    ['taskCategories', TaskCategory],
+    ['notifications', Notification],
+    ['chats', Chat],
+    ['invitations', Invitation],
+    ['apiKeys', ApiKey],
+    ['sessions', Session],
+    ['loginEvents', LoginEvent],
+    ['ssoStates', SsoState],
+    ['auditLogs', AuditLog],
+    ['exportJobs', ExportJob]
+  ];
+
+  for (const [name, Model] of collections) {
+    const result = await Model.deleteMany({ company: companyId });
+    removed[name] = result.deletedCount;
+  }
+
+  const files = await removeFiles([...companyFiles, ...uploads, ...exportArchives]);
+  await fs.promises.rm(companyUploadDir(companyId), { recursive: true, force: true });
+  removed.files = files.count;
+
+  const certificate = new DeletionCertificate({
+    company: companyId,
+    companyName: company.name,
+    reason: company.deletion?.reason,
+    scheduledBy: company.deletion?.scheduledBy,
+    scheduledAt: company.deletion?.scheduledAt,
+    confirmedBy,
+    deletedAt: new Date(),
+    removed,
+    removedBytes: files.bytes
+  });
+  certificate.digest = digestOf({ ...certificate.toObject(), removed });
+  await certificate.save();
+
+  await Company.deleteOne({ _id: companyId });
+
+  return certificate;
+};
@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const Department = require('../models/Department');
+const Membership = require('../models/Membership');
+const Task = require('../models/Task');
+const TaskCategory = require('../models/TaskCategory');
+const Notification = require('../models/Notification');
+const { Chat } = require('../models/Chat');
+const ExportJob = require('../models/ExportJob');
+const { runAsSystem } = require('./tenantContext');
+const { UPLOAD_DIR, resolveUpload, listFiles, companyUploadDir } = require('./uploadFiles');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || 'exports');
+const EXPORT_TTL_DAYS = 7;
+const FORMAT_VERSION = 1;
+
+// Never export credentials: password hashes, reset tokens or MFA secrets
+const USER_FIELDS = 'name email phone bio avatar role status active company hierarchyLevel departments reportsTo '
+  + 'lastLogin passwordChangedAt mfa.enabled createdAt updatedAt';
+
+const taskAttachments = (task) => [
+  ...(task.attachments || []).map(file => ({ ...file, source: 'task' })),
+  ...(task.updates || []).flatMap(update => (update.attachments || []).map(file => ({ ...file, source: 'update' }))),
+  ...(task.reports || []).flatMap(report => (report.attachments || []).map(file => ({ ...file, source: 'report' }))),
+  ...(task.completionSubmission?.attachments || []).map(file => ({ ...file, source: 'completion' }))
+];
+
+// Each section is written as <name>.json with the full documents plus one or
+// more flat CSV files. files() names the uploads a document refers to.
+const SECTIONS = [
+  {
+    name: 'users',
+    query: (company) => User.find({ company }).select(USER_FIELDS),
+    csv: {
+      users: {
+        columns: ['_id', 'name', 'email', 'phone', 'role', 'status', 'active', 'hierarchyLevel', 'departments', 'reportsTo', 'lastLogin', 'mfa.enabled', 'createdAt'],
+        rows: user => [user]
+      }
+    },
+    files: user => (user.avatar ? [user.avatar] : [])
+  },
+  {
+    name: 'hierarchy_levels',
+    query: (company) => HierarchyLevel.find({ company }),
+    csv: {
+      hierarchy_levels: {
+        columns: ['_id', 'name', 'level', 'reportsTo', 'canAssignTasks', 'maxTasksPerDay', 'departmentScope', 'createdAt'],
+        rows: level => [level]
+      }
+    }
+  },
+  {
+    name: 'departments',
+    query: (company) => Department.find({ company }),
+    csv: {
+      departments: {
+        columns: ['_id', 'name', 'description', 'head', 'createdAt'],
+        rows: department => [department]
+      }
+    }
+  },
+  {
+    name: 'memberships',
+    query: (company) => Membership.find({ company, pending: { $ne: true } }),
+    csv: {
+      memberships: {
+        columns: ['_id', 'user', 'role', 'hierarchyLevel', 'reportsTo', 'departments', 'active', 'addedBy', 'createdAt'],
+        rows: membership => [membership]
+      }
+    }
+  },
+  {
+    name: 'task_categories',
+    query: (company) => TaskCategory.find({ company }),
+    csv: {
+      task_categories: {
+        columns: ['_id', 'name', 'description', 'initialStatus', 'active', 'createdAt'],
+        rows: category => [category]
+      },
+      task_category_statuses: {
+        columns: ['category', 'key', 'label', 'final'],
+        rows: category => (category.statuses || []).map(status => ({ category: category._id, ...status }))
+      },
+      task_category_transitions: {
+        columns: ['category', 'from', 'to'],
+        rows: category => (category.transitions || []).map(transition => ({ category: category._id, ...transition }))
+      }
+    }
+  },
+  {
+    name: 'tasks',
+    query: (company) => Task.find({ company }),
+    csv: {
+      tasks: {
+        columns: ['_id', 'title', 'description', 'status', 'completedAt', 'priority', 'category', 'assignedTo', 'assignedToName', 'assignedBy', 'assignedByName', 'createdBy', 'dueDate', 'estimatedHours', 'actualHours', 'createdAt', 'updatedAt'],
+        rows: task => [task]
+      },
+      task_comments: {
+        columns: ['task', '_id', 'user', 'content', 'createdAt'],
+        rows: task => (task.comments || []).map(comment => ({ task: task._id, ...comment }))
+      },
+      task_history: {
+        columns: ['task', '_id', 'action', 'performedBy', 'apiKey', 'impersonatedBy', 'newStatus', 'timestamp'],
+        rows: task => (task.history || []).map(entry => ({ task: task._id, ...entry }))
+      },
+      task_attachments: {
+        columns: ['task', 'source', 'filename', 'path', 'type', 'uploadedBy', 'uploadedAt'],
+        rows: task => taskAttachments(task).map(file => ({ task: task._id, ...file }))
+      }
+    },
+    files: task => taskAttachments(task).map(file => file.path)
+  },
+  {
+    name: 'notifications',
+    query: (company) => Notification.find({ company }),
+    csv: {
+      notifications: {
+        columns: ['_id', 'user', 'type', 'title', 'message', 'task', 'from', 'read', 'priority', 'createdAt'],
+        rows: notification => [notification]
+      }
+    }
+  },
+  {
+    name: 'chats',
+    query: (company) => Chat.find({ company }),
+    csv: {
+      chats: {
+        columns: ['_id', 'type', 'name', 'description', 'participants', 'admins', 'createdAt'],
+        rows: chat => [chat]
+      },
+      chat_messages: {
+        columns: ['chat', '_id', 'sender', 'content', 'replyTo', 'edited', 'isDeleted', 'attachments', 'createdAt'],
+        rows: chat => (chat.messages || []).map(message => ({
+          chat: chat._id,
+          ...message,
+          attachments: (message.attachments || []).map(file => file.fileUrl)
+        }))
+      }
+    },
+    files: chat => (chat.messages || []).flatMap(message => (message.attachments || []).map(file => file.fileUrl))
+  }
+];
+
+const valueAt = (object, field) => field.split('.').reduce((value, key) => value?.[key], object);
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.map(String).join(';');
+  else text = String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\n`;
+
+const write = (stream, chunk) => new Promise(resolve => {
+  if (stream.write(chunk)) resolve();
+  else stream.once('drain', resolve);
+});
+
+const close = (stream) => new Promise((resolve, reject) => {
+  stream.on('error', reject);
+  stream.end(resolve);
+});
+
+// Stream one section to disk document by document so large companies do not
+// have to fit in memory
+const exportSection = async (section, companyId, workDir, filePaths) => {
+  const json = fs.createWriteStream(path.join(workDir, `${section.name}.json`));
+  const csvFiles = Object.entries(section.csv).map(([name, { columns, rows }]) => ({
+    name: `${name}.csv`,
+    columns,
+    rows,
+    stream: fs.createWriteStream(path.join(workDir, `${name}.csv`))
+  }));
+
+  await write(json, '[');
+  for (const csv of csvFiles) {
+    await write(csv.stream, csvLine(csv.columns));
+  }
+
+  let count = 0;
+  for await (const doc of section.query(companyId).lean().cursor()) {
+    await write(json, `${count > 0 ? ',' : ''}\n${JSON.stringify(doc)}`);
+    for (const csv of csvFiles) {
+      for (const row of csv.rows(doc)) {
+        await write(csv.stream, csvLine(csv.columns.map(column => valueAt(row, column))));
+      }
+    }
+    (section.files?.(doc) || []).filter(Boolean).forEach(filePath => filePaths.add(filePath));
+    count += 1;
+  }
+
+  await write(json, '\n]\n');
+  await Promise.all([json, ...csvFiles.map(csv => csv.stream)].map(close));
+
+  return {
+    name: section.name,
+    records: count,
+    files: [`${section.name}.json`, ...csvFiles.map(csv => csv.name)]
+  };
+};
+
+// Uploads referenced by the exported documents plus everything stored under
+// the company's own upload directory
+const collectUploads = async (companyId, filePaths) => {
+  const absolutePaths = new Set(await listFiles(companyUploadDir(companyId)));
+  const missing = [];
+
+  for (const filePath of filePaths) {
+    const absolute = resolveUpload(filePath);
+    if (!absolute) continue;
+
+    const exists = await fs.promises.access(absolute).then(() => true, () => false);
+    if (exists) absolutePaths.add(absolute);
+    else missing.push(filePath);
+  }
+
+  const files = [...absolutePaths].map(absolute => ({
+    absolute,
+    name: path.posix.join('files', path.relative(UPLOAD_DIR, absolute).split(path.sep).join('/'))
+  }));
+
+  return { files, missing };
+};
+
+const buildArchive = (target, workDir, files) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(target);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  output.on('close', resolve);
+  output.on('error', reject);
+  archive.on('error', reject);
+  archive.on('warning', (error) => {
+    // A file deleted after it was collected is left out rather than failing the export
+    if (error.code === 'ENOENT') console.warn('Export skipped a missing file:', error.message);
+    else reject(error);
+  });
+
+  archive.pipe(output);
+  archive.directory(workDir, false);
+  files.forEach(file => archive.file(file.absolute, { name: file.name }));
+  archive.finalize();
+});
+
+const runExport = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const workDir = path.join(EXPORT_DIR, job._id.toString());
+  const target = path.join(EXPORT_DIR, `${job._id}.zip`);
+  const totalSteps = SECTIONS.length + 2;
+
+  const setProgress = async (step, completedSteps) => {
+    job.progress = {
+      step,
+      completedSteps,
+      totalSteps,
+      percent: Math.round((completedSteps / totalSteps) * 100)
+    };
+    await job.save();
+  };
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await setProgress(SECTIONS[0].name, 0);
+
+    const company = await Company.findById(job.company).select('name');
+    if (!company) throw new Error('Company not found');
+
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    const filePaths = new Set();
+    const sections = [];
+    for (const [index, section] of SECTIONS.entries()) {
+      await setProgress(section.name, index);
+      sections.push(await exportSection(section, job.company, workDir, filePaths));
+    }
+
+    await setProgress('files', SECTIONS.length);
+    const { files, missing } = await collectUploads(job.company, filePaths);
+
+    const manifest = {
+      formatVersion: FORMAT_VERSION,
+      exportId: job._id,
+      company: { _id: company._id, name: company.name },
+      requestedBy: job.requestedBy,
+      generatedAt: new Date(),
+      sections,
+      uploads: {
+        directory: 'files',
+        count: files.length,
+        missing
+      }
+    };
+    await fs.promises.writeFile(path.join(workDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    await setProgress('archive', SECTIONS.length + 1);
+    await buildArchive(target, workDir, files);
+
+    const { size } = await fs.promises.stat(target);
+    job.status = 'completed';
+    job.filePath = target;
+    job.fileSize = size;
+    job.counts = Object.fromEntries(sections.map(section => [section.name, section.records]));
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await setProgress('done', totalSteps);
+  } catch (error) {
+    console.error(`Export ${job._id} failed:`, error);
+    await fs.promises.rm(target, { force: true });
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Exports run one at a time in the background, outside any request's tenant
+// context; every query above is filtered by the job's company
+let queue = Promise.resolve();
+
+exports.enqueueExport = (jobId) => {
+  queue = queue
+    .then(() => runAsSystem(() => runExport(jobId)))
+    .catch(error => console.error('Export queue error:', error));
+};
+
+// Called at startup: jobs cut off by a restart fail, queued ones run again
+exports.resumeExports = async () => {
+  await ExportJob.updateMany(
+    { status: 'running' },
+    { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() }
+  );
+
+  const queued = await ExportJob.find({ status: 'queued' }).sort('createdAt').select('_id');
+  queued.forEach(job => exports.enqueueExport(job._id));
+};
+
+// Delete archives past their download window
+exports.expireExports = async () => {
+  const jobs = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } }).select('+filePath');
+
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    job.status = 'expired';
+    job.filePath = undefined;
+    await job.save();
+  }
+};
@@ -0,0 +1,50 @@
+const Company = require('../models/Company');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+exports.COMPANY_SUSPENDED_RESPONSE = {
+  message: 'Your company account has been suspended. Please contact Workzen support.',
+  code: 'COMPANY_SUSPENDED'
+};
+
+exports.COMPANY_READ_ONLY_RESPONSE = {
+  message: 'Your company account is read-only. Changes are disabled until it is reactivated.',
+  code: 'COMPANY_READ_ONLY'
+};
+
+// 'active', 'read_only' during a suspension grace period, or 'suspended'.
+// A read-only grace period counts as suspended once lockAt has passed, even
+// before the scheduled job flips it to locked.
+exports.getCompanyStatus = (company) => {
+  if (!company) return 'suspended';
+  if (company.active !== false) return 'active';
+
+  const { mode, lockAt } = company.suspension || {};
+  if (mode === 'read_only' && (!lockAt || lockAt > new Date())) {
+    return 'read_only';
+  }
+  return 'suspended';
+};
+
+// Users without a company (super admins) are never affected
+exports.loadCompanyStatus = async (companyId) => {
+  if (!companyId) return 'active';
+  const company = await Company.findById(companyId).select('active suspension');
+  return exports.getCompanyStatus(company);
+};
+
+// Error response for a request from a user of this company, or null when the
+// request may proceed. Read-only companies may still read.
+exports.companyAccessError = async (companyId, method, { allowReadOnly = false } = {}) => {
+  const status = await exports.loadCompanyStatus(companyId);
+
+  if (status === 'suspended') {
+    return exports.COMPANY_SUSPENDED_RESPONSE;
+  }
+
+  if (status === 'read_only' && !allowReadOnly && !READ_METHODS.includes(method)) {
+    return exports.COMPANY_READ_ONLY_RESPONSE;
+  }
+
+  return null;
+};
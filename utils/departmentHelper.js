@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+
+// Look up departments of a company by id or by name, so clients that still
+// send the old department names keep working. Returns the ids found and the
+// values that matched nothing.
+exports.resolveDepartments = async (companyId, values) => {
+  const list = [].concat(values || []).map(String);
+  const ids = list.filter(value => mongoose.isObjectIdOrHexString(value));
+  const names = list.filter(value => !mongoose.isObjectIdOrHexString(value));
+
+  const departments = await Department.find({
+    company: companyId,
+    $or: [{ _id: { $in: ids } }, { name: { $in: names } }]
+  }).select('name');
+
+  const unknown = list.filter(value => !departments.some(department =>
+    department._id.toString() === value || department.name === value));
+
+  return {
+    ids: [...new Set(departments.map(department => department._id.toString()))],
+    unknown
+  };
+};
+
+// A department from a route parameter holding its id or name
+exports.findDepartment = (companyId, idOrName) => Department.findOne({
+  company: companyId,
+  ...(mongoose.isObjectIdOrHexString(idOrName) ? { _id: idOrName } : { name: idOrName })
+});
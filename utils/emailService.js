@@ -1,4 +1,8 @@
 const nodemailer = require('nodemailer');
+const Company = require('../models/Company');
+const { getCompanyStatus } = require('./companyStatus');
+const { escapeHtml, frontendUrl, resolveBranding } = require('./branding');
+const { resolveSettings, formatDateTime } = require('./companyCalendar');
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -10,39 +14,171 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// Each template gets its data, the sending company's resolved branding and a
+// date formatter for the company's timezone and date format, and returns the
+// subject and the body, which renderEmail wraps in the layout
+const button = (brand, path, label) => `
+      <p><a href="${escapeHtml(frontendUrl(brand) + path)}" style="display: inline-block; padding: 10px 18px; background: ${brand.primaryColor}; color: #ffffff; text-decoration: none; border-radius: 4px;">${label}</a></p>`;
+
+const layout = (body, brand) => `
+  <div style="font-family: Arial, sans-serif; color: ${brand.textColor}; max-width: 600px; margin: 0 auto;">
+    ${brand.logoUrl ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.senderName)}" style="max-height: 48px; margin-bottom: 16px;">` : ''}
+    ${body}
+    ${brand.emailFooter ? `<hr style="border: none; border-top: 1px solid #e5e7eb; margin-top: 24px;">
+    <p style="font-size: 12px; color: #6b7280;">${escapeHtml(brand.emailFooter).replace(/\n/g, '<br>')}</p>` : ''}
+  </div>
+`;
+
 const emailTemplates = {
-  TASK_ASSIGNED: (task, user) => ({
+  TASK_ASSIGNED: (task, brand, date) => ({
     subject: `New Task Assigned: ${task.title}`,
-    html: `
+    body: `
       <h2>You have been assigned a new task</h2>
-      <p><strong>Title:</strong> ${task.title}</p>
-      <p><strong>Due Date:</strong> ${new Date(task.dueDate).toLocaleString()}</p>
-      <p><strong>Priority:</strong> ${task.priority}</p>
-      <p><strong>Description:</strong> ${task.description}</p>
-      <a href="${process.env.FRONTEND_URL}/tasks/${task._id}">View Task</a>
+      <p><strong>Title:</strong> ${escapeHtml(task.title)}</p>
+      <p><strong>Due Date:</strong> ${date(task.dueDate)}</p>
+      <p><strong>Priority:</strong> ${escapeHtml(task.priority)}</p>
+      <p><strong>Description:</strong> ${escapeHtml(task.description)}</p>
+      ${button(brand, `/tasks/${task._id}`, 'View Task')}
     `
   }),
-  TASK_UPDATED: (task, update) => ({
+  TASK_UPDATED: (task, brand) => ({
     subject: `Task Updated: ${task.title}`,
-    html: `
+    body: `
       <h2>Task Update Notification</h2>
-      <p>The task "${task.title}" has been updated</p>
-      <p><strong>Update:</strong> ${update}</p>
-      <a href="${process.env.FRONTEND_URL}/tasks/${task._id}">View Task</a>
+      <p>The task "${escapeHtml(task.title)}" has been updated</p>
+      <p><strong>Update:</strong> ${escapeHtml(task.update)}</p>
+      ${button(brand, `/tasks/${task._id}`, 'View Task')}
     `
   }),
-  DEADLINE_APPROACHING: (task) => ({
+  DEADLINE_APPROACHING: (task, brand, date) => ({
     subject: `Deadline Approaching: ${task.title}`,
-    html: `
+    body: `
       <h2>Task Deadline Reminder</h2>
-      <p>The deadline for task "${task.title}" is approaching</p>
-      <p><strong>Due Date:</strong> ${new Date(task.dueDate).toLocaleString()}</p>
-      <a href="${process.env.FRONTEND_URL}/tasks/${task._id}">View Task</a>
+      <p>The deadline for task "${escapeHtml(task.title)}" is approaching</p>
+      <p><strong>Due Date:</strong> ${date(task.dueDate)}</p>
+      ${button(brand, `/tasks/${task._id}`, 'View Task')}
+    `
+  }),
+  INVITATION: (invite, brand, date) => ({
+    subject: `You're invited to join ${invite.companyName} on ${brand.senderName}`,
+    body: `
+      <h2>Hi ${escapeHtml(invite.name)},</h2>
+      <p>${escapeHtml(invite.invitedByName)} has invited you to join <strong>${escapeHtml(invite.companyName)}</strong> on ${escapeHtml(brand.senderName)}.</p>
+      <p>Click the link below to set your password and activate your account.</p>
+      ${button(brand, `/accept-invite?token=${encodeURIComponent(invite.token)}`, 'Accept Invitation')}
+      <p>This link can only be used once and expires on ${date(invite.expiresAt)}.</p>
+    `
+  }),
+  MEMBERSHIP_INVITATION: (invite, brand, date) => ({
+    subject: `You're invited to join ${invite.companyName} on ${brand.senderName}`,
+    body: `
+      <h2>Hi ${escapeHtml(invite.name)},</h2>
+      <p>${escapeHtml(invite.invitedByName)} has invited you to also join <strong>${escapeHtml(invite.companyName)}</strong> on ${escapeHtml(brand.senderName)}.</p>
+      <p>Sign in with your existing account and accept to add the company to the ones you can switch to.</p>
+      ${button(brand, `/accept-membership?token=${encodeURIComponent(invite.token)}`, 'Accept Invitation')}
+      <p>This link expires on ${date(invite.expiresAt)}. If you weren't expecting it, you can ignore this email.</p>
+    `
+  }),
+  PASSWORD_RESET: (reset, brand, date) => ({
+    subject: `Reset your ${brand.senderName} password`,
+    body: `
+      <h2>Hi ${escapeHtml(reset.name)},</h2>
+      <p>We received a request to reset the password for your ${escapeHtml(brand.senderName)} account.</p>
+      ${button(brand, `/reset-password?token=${encodeURIComponent(reset.token)}`, 'Reset Password')}
+      <p>This link can only be used once and expires on ${date(reset.expiresAt)}.</p>
+      <p>If you did not request a password reset, you can safely ignore this email.</p>
+    `
+  }),
+  ACCOUNT_LOCKED: (lockout, brand, date) => ({
+    subject: `Your ${brand.senderName} account has been temporarily locked`,
+    body: `
+      <h2>Hi ${escapeHtml(lockout.name)},</h2>
+      <p>Your account was locked after too many failed sign-in attempts.</p>
+      <p><strong>Last attempt from IP:</strong> ${escapeHtml(lockout.ip)}</p>
+      <p><strong>Locked until:</strong> ${date(lockout.lockedUntil)}</p>
+      <p>If this wasn't you, we recommend resetting your password.</p>
+      ${button(brand, '/forgot-password', 'Reset Password')}
     `
   })
 };
 
-exports.sendEmail = async ({ to, type, data }) => {
+// Made-up data for previewing each template
+const SAMPLE_DATA = {
+  TASK_ASSIGNED: {
+    _id: 'sample-task',
+    title: 'Prepare the quarterly report',
+    dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    priority: 'high',
+    description: 'Collect the figures from every department and summarise them.'
+  },
+  TASK_UPDATED: {
+    _id: 'sample-task',
+    title: 'Prepare the quarterly report',
+    update: 'The deadline has moved to Friday.'
+  },
+  DEADLINE_APPROACHING: {
+    _id: 'sample-task',
+    title: 'Prepare the quarterly report',
+    dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  },
+  INVITATION: {
+    name: 'Alex Example',
+    invitedByName: 'Sam Admin',
+    companyName: 'Example Corp',
+    token: 'sample-token',
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  },
+  MEMBERSHIP_INVITATION: {
+    name: 'Alex Example',
+    invitedByName: 'Sam Admin',
+    companyName: 'Example Corp',
+    token: 'sample-token',
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  },
+  PASSWORD_RESET: {
+    name: 'Alex Example',
+    token: 'sample-token',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  },
+  ACCOUNT_LOCKED: {
+    name: 'Alex Example',
+    ip: '203.0.113.7',
+    lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+  }
+};
+
+exports.EMAIL_TYPES = Object.keys(emailTemplates);
+
+// Full email for a template: the body inside the company's layout, with dates
+// in the company's calendar settings
+exports.renderEmail = (type, data, branding, settings) => {
+  const brand = resolveBranding(branding);
+  const calendar = resolveSettings(settings);
+  const date = (value) => escapeHtml(formatDateTime(new Date(value), calendar));
+  const { subject, body } = emailTemplates[type](data, brand, date);
+  return { subject, html: layout(body, brand) };
+};
+
+// The template filled with sample data, as the company's users would see it
+exports.previewEmail = (type, branding, companyName, settings) => exports.renderEmail(
+  type,
+  ['INVITATION', 'MEMBERSHIP_INVITATION'].includes(type)
+    ? { ...SAMPLE_DATA[type], companyName }
+    : SAMPLE_DATA[type],
+  branding,
+  settings
+);
+
+// Sender name on the configured address; without a company sender name the
+// address is used as configured
+const fromAddress = (branding) => {
+  if (!branding?.senderName) return process.env.SMTP_FROM;
+  const configured = process.env.SMTP_FROM || '';
+  const address = /<([^>]+)>/.exec(configured)?.[1] || configured;
+  return { name: branding.senderName, address };
+};
+
+exports.sendEmail = async ({ to, type, data, company }) => {
   try {
     // Validate email address
     if (!to) {
@@ -50,11 +186,21 @@ exports.sendEmail = async ({ to, type, data }) => {
       return { success: false, message: 'Recipient email address is missing' };
     }
 
-    const template = emailTemplates[type](data);
+    const companyDoc = company
+      ? await Company.findById(company._id || company).select('active suspension branding settings')
+      : null;
+
+    // Suspended companies get no mail; read-only ones still do
+    if (companyDoc && getCompanyStatus(companyDoc) === 'suspended') {
+      return { success: false, message: 'Company is suspended' };
+    }
+
+    const { branding, settings } = companyDoc?.toObject() || {};
     await transporter.sendMail({
-      from: process.env.SMTP_FROM,
+      from: fromAddress(branding),
+      ...(branding?.replyTo && { replyTo: branding.replyTo }),
       to,
-      ...template
+      ...exports.renderEmail(type, data, branding, settings)
     });
     return { success: true };
   } catch (error) {
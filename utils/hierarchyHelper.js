@@ -1,18 +1,193 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
 const HierarchyLevel = require('../models/HierarchyLevel');
+const { loadOrgMembers, loadOrgLevels } = require('./orgChart');
 
-exports.canAssignTaskTo = async (assignerLevel, assigneeLevel) => {
-  try {
-    const assigner = await HierarchyLevel.findById(assignerLevel);
-    const assignee = await HierarchyLevel.findById(assigneeLevel);
+const TASK_AUTHORIZATION_MODES = ['level', 'reporting_line'];
 
-    if (!assigner || !assignee) {
-      return false;
+exports.TASK_AUTHORIZATION_MODES = TASK_AUTHORIZATION_MODES;
+
+const idString = (value) => (value?._id || value)?.toString() || null;
+
+// Everyone below the user in the reportsTo tree
+const reportingSubtree = (members, userId) => {
+  const reportsById = new Map();
+  members.forEach(member => {
+    if (!member.reportsTo) return;
+    if (!reportsById.has(member.reportsTo)) reportsById.set(member.reportsTo, []);
+    reportsById.get(member.reportsTo).push(member._id.toString());
+  });
+
+  const subtree = new Set();
+  const stack = [...(reportsById.get(userId) || [])];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === userId || subtree.has(id)) continue;
+    subtree.add(id);
+    stack.push(...(reportsById.get(id) || []));
+  }
+  return subtree;
+};
+
+// The company's task authorization settings with defaults filled in
+exports.loadTaskAuthorization = async (companyId) => {
+  const company = await Company.findById(companyId).select('taskAuthorization').lean();
+  return {
+    mode: company?.taskAuthorization?.mode || 'level',
+    includeDepartments: Boolean(company?.taskAuthorization?.includeDepartments)
+  };
+};
+
+// Ids of everyone the user manages: in level mode everyone on a lower level
+// (a higher number); in reporting_line mode the people below them in the
+// reportsTo tree, plus lower levels in their departments when enabled.
+// levelOf maps a member to their level number.
+exports.managedIdsFor = (members, levelOf, userId, { mode, includeDepartments }) => {
+  const self = members.find(member => member._id.toString() === userId);
+  const ownLevel = levelOf(self);
+  const isBelow = (member) => ownLevel !== undefined
+    && levelOf(member) !== undefined
+    && ownLevel < levelOf(member);
+
+  if (mode === 'level') {
+    return new Set(members.filter(isBelow).map(member => member._id.toString()));
+  }
+
+  const managed = reportingSubtree(members, userId);
+  if (includeDepartments && self) {
+    const ownDepartments = new Set(self.departments);
+    members
+      .filter(member => isBelow(member) && member.departments.some(id => ownDepartments.has(id)))
+      .forEach(member => managed.add(member._id.toString()));
+  }
+  return managed;
+};
+
+// Answers "may this user assign to / see the tasks of that person" for one
+// request. The company's mode, its people and levels, and the caller's
+// subtree are loaded once and reused by every later check.
+const createTaskAccess = (user) => {
+  const userId = idString(user._id);
+  const companyId = idString(user.company);
+  const cache = {};
+  const once = (key, load) => {
+    if (!cache[key]) cache[key] = load();
+    return cache[key];
+  };
+
+  const settings = () => once('settings', () => exports.loadTaskAuthorization(companyId));
+
+  const org = () => once('org', async () => {
+    const members = await loadOrgMembers(companyId);
+    const levels = await loadOrgLevels(companyId);
+    const levelById = new Map(levels.map(level => [level._id.toString(), level.level]));
+    return {
+      members,
+      levelOf: (member) => (member ? levelById.get(member.hierarchyLevel) : undefined)
+    };
+  });
+
+  // Ids of everyone the user manages under the company's mode
+  const managedIds = () => once('managed', async () => {
+    const { members, levelOf } = await org();
+    return exports.managedIdsFor(members, levelOf, userId, await settings());
+  });
+
+  return {
+    settings,
+    managedIds,
+
+    canAssignTo: async (assigneeId) =>
+      (await managedIds()).has(idString(assigneeId)),
+
+    // Admins see every task; others their own, the ones they created and
+    // those of the people they manage
+    canAccessTask: async (task) => {
+      if (user.role === 'company_admin') return true;
+      if (idString(task.assignedBy) === userId || idString(task.assignedTo) === userId) return true;
+      return (await managedIds()).has(idString(task.assignedTo));
+    },
+
+    // Query limiting a task list to the tasks the user may see, or null when
+    // nothing is hidden from them. Ids are ObjectIds so the filter also works
+    // in an aggregate $match.
+    taskFilter: async () => {
+      if (user.role === 'company_admin') return null;
+      const objectId = (id) => new mongoose.Types.ObjectId(id);
+      return {
+        $or: [
+          { assignedTo: objectId(userId) },
+          { assignedBy: objectId(userId) },
+          { assignedTo: { $in: [...await managedIds()].map(objectId) } }
+        ]
+      };
     }
+  };
+};
 
-    // Lower level number means higher in hierarchy (e.g., 1 is higher than 2)
-    return assigner.level < assignee.level;
-  } catch (error) {
-    console.error('Error checking hierarchy levels:', error);
-    return false;
+// Checks are cached on the request, so they run at most once per request
+exports.getTaskAccess = (req) => {
+  if (!req.taskAccess) {
+    req.taskAccess = createTaskAccess(req.user);
   }
-}; 
\ No newline at end of file
+  return req.taskAccess;
+};
+
+// Where a non-admin managing users may place an employee: on a level below
+// their own, reporting to themselves or someone they manage. Returns an
+// error message or null; company admins may place employees anywhere.
+exports.placementError = async (req, { hierarchyLevel, reportsTo }) => {
+  if (req.user.role === 'company_admin') return null;
+
+  if (hierarchyLevel) {
+    const [own, level] = await Promise.all([
+      req.user.hierarchyLevel
+        ? HierarchyLevel.findOne({ _id: req.user.hierarchyLevel, company: req.user.company }).select('level').lean()
+        : null,
+      mongoose.isValidObjectId(hierarchyLevel)
+        ? HierarchyLevel.findOne({ _id: hierarchyLevel, company: req.user.company }).select('level').lean()
+        : null
+    ]);
+    if (!level) {
+      return 'Hierarchy level must belong to your company';
+    }
+    if (!own || level.level <= own.level) {
+      return 'You can only place employees on a hierarchy level below your own';
+    }
+  }
+
+  if (reportsTo && idString(reportsTo) !== idString(req.user._id)
+    && !(await exports.getTaskAccess(req).managedIds()).has(idString(reportsTo))) {
+    return 'Employees can only report to you or someone you manage';
+  }
+
+  return null;
+};
+
+// Validate a taskAuthorization update for the company
+exports.normalizeTaskAuthorization = (input) => {
+  const errors = [];
+  const taskAuthorization = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { taskAuthorization, errors: ['taskAuthorization must be an object'] };
+  }
+
+  if (input.mode !== undefined) {
+    if (!TASK_AUTHORIZATION_MODES.includes(input.mode)) {
+      errors.push(`mode must be one of: ${TASK_AUTHORIZATION_MODES.join(', ')}`);
+    } else {
+      taskAuthorization.mode = input.mode;
+    }
+  }
+
+  if (input.includeDepartments !== undefined) {
+    if (typeof input.includeDepartments !== 'boolean') {
+      errors.push('includeDepartments must be a boolean');
+    } else {
+      taskAuthorization.includeDepartments = input.includeDepartments;
+    }
+  }
+
+  return { taskAuthorization, errors };
+};
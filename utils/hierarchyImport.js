@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { resolveDepartments } = require('./departmentHelper');
+
+// Bulk import of hierarchy levels from JSON rows or CSV. The whole import is
+// validated before anything is written, and every error names its row: the
+// position in a JSON array (from 1) or the line in a CSV file (the header
+// being line 1).
+
+const MAX_IMPORT_ROWS = 500;
+const PERMISSIONS = Object.keys(HierarchyLevel.schema.obj.permissions);
+const DEFAULT_MAX_TASKS_PER_DAY = 10;
+
+const importError = (row, field, message) => ({ row, field, message });
+
+// Level names are matched without regard to case or surrounding spaces
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Records of a CSV text with the line each one starts on; quoted cells may
+// hold commas, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    values.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    records.push({ line: recordLine, values });
+    values = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || values.length > 0) endRecord();
+
+  return records;
+};
+
+// CSV columns are the level fields; permissions go in permissions.<name>
+// columns and departmentScope lists departments separated by ";". Columns
+// the import does not know, such as _id in an export, are ignored.
+exports.rowsFromCsv = (text) => {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return { rows: [], errors: [importError(null, 'csv', 'The CSV file is empty')] };
+  }
+
+  const columns = header.values.map(column => column.trim());
+  const rows = records
+    .filter(record => record.values.some(value => value.trim() !== ''))
+    .map(record => {
+      const data = {};
+      columns.forEach((column, index) => {
+        const value = (record.values[index] || '').trim();
+        if (value === '') return;
+        if (column.startsWith('permissions.')) {
+          data.permissions = { ...data.permissions, [column.slice('permissions.'.length)]: value };
+        } else if (column === 'departmentScope') {
+          data.departmentScope = value.split(';').map(item => item.trim()).filter(Boolean);
+        } else {
+          data[column] = value;
+        }
+      });
+      return { row: record.line, data };
+    });
+
+  return { rows, errors: [] };
+};
+
+exports.rowsFromJson = (levels) => levels.map((data, index) => ({ row: index + 1, data }));
+
+// true/false from JSON, or true/false, yes/no, 1/0 from CSV
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(text)) return true;
+  if (['false', 'no', '0'].includes(text)) return false;
+  return undefined;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Check one row on its own; returns the level to write, without its parent
+const validateRow = async (companyId, { row, data }, errors) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(importError(row, '', 'Each level must be an object'));
+    return null;
+  }
+
+  const level = { row, fields: {} };
+  const fail = (field, message) => errors.push(importError(row, field, message));
+
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    fail('name', 'name is required');
+  } else {
+    level.fields.name = data.name.trim();
+  }
+
+  const number = Number(data.level);
+  if (isBlank(data.level) || !Number.isInteger(number) || number < 0) {
+    fail('level', 'level must be a whole number of 0 or more');
+  } else {
+    level.fields.level = number;
+  }
+
+  if (!isBlank(data.reportsTo)) {
+    if (typeof data.reportsTo !== 'string') {
+      fail('reportsTo', 'reportsTo must be the name of another level');
+    } else {
+      level.parentName = data.reportsTo.trim();
+    }
+  }
+
+  level.fields.canAssignTasks = false;
+  if (!isBlank(data.canAssignTasks)) {
+    const value = parseBoolean(data.canAssignTasks);
+    if (value === undefined) fail('canAssignTasks', 'canAssignTasks must be true or false');
+    else level.fields.canAssignTasks = value;
+  }
+
+  level.fields.permissions = Object.fromEntries(PERMISSIONS.map(permission => [permission, false]));
+  if (!isBlank(data.permissions)) {
+    if (typeof data.permissions !== 'object' || Array.isArray(data.permissions)) {
+      fail('permissions', 'permissions must be an object');
+    } else {
+      Object.entries(data.permissions).forEach(([permission, raw]) => {
+        const value = parseBoolean(raw);
+        if (!PERMISSIONS.includes(permission)) {
+          fail(`permissions.${permission}`, `Unknown permission; use one of: ${PERMISSIONS.join(', ')}`);
+        } else if (value === undefined) {
+          fail(`permissions.${permission}`, `${permission} must be true or false`);
+        } else {
+          level.fields.permissions[permission] = value;
+        }
+      });
+    }
+  }
+
+  level.fields.maxTasksPerDay = DEFAULT_MAX_TASKS_PER_DAY;
+  if (!isBlank(data.maxTasksPerDay)) {
+    const value = Number(data.maxTasksPerDay);
+    if (!Number.isInteger(value) || value < 1) fail('maxTasksPerDay', 'maxTasksPerDay must be a whole number of 1 or more');
+    else level.fields.maxTasksPerDay = value;
+  }
+
+  level.fields.departmentScope = [];
+  if (!isBlank(data.departmentScope)) {
+    const { ids, unknown } = await resolveDepartments(companyId, data.departmentScope);
+    if (unknown.length > 0) fail('departmentScope', `Unknown departments: ${unknown.join(', ')}`);
+    else level.fields.departmentScope = ids;
+  }
+
+  return level;
+};
+
+// Validate the whole import: unique names, parents that exist, no loops and
+// parents numbered above their children. In replace mode the rows become the
+// company's whole hierarchy: levels with the same name are updated in place,
+// so their users keep them, and levels left out are deleted.
+exports.validateImport = async (companyId, rows, { replace = false } = {}) => {
+  if (rows.length === 0) {
+    return { errors: [importError(null, 'levels', 'Provide at least one hierarchy level')] };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { errors: [importError(null, 'levels', `An import can hold at most ${MAX_IMPORT_ROWS} levels`)] };
+  }
+
+  const errors = [];
+  const existing = await HierarchyLevel.find({ company: companyId }).select('name level').lean();
+  const existingByName = new Map(existing.map(level => [nameKey(level.name), level]));
+
+  const levels = [];
+  const levelByName = new Map();
+  for (const row of rows) {
+    const level = await validateRow(companyId, row, errors);
+    if (!level?.fields.name) continue;
+
+    const key = nameKey(level.fields.name);
+    if (levelByName.has(key)) {
+      errors.push(importError(level.row, 'name', `Duplicate name "${level.fields.name}", also on row ${levelByName.get(key).row}`));
+      continue;
+    }
+    if (!replace && existingByName.has(key)) {
+      errors.push(importError(level.row, 'name', `A level named "${level.fields.name}" already exists; use replace mode to update it`));
+      continue;
+    }
+
+    level.existing = replace ? existingByName.get(key) : undefined;
+    levels.push(level);
+    levelByName.set(key, level);
+  }
+
+  // Parents are other rows or, when adding to the hierarchy, existing levels
+  levels.forEach(level => {
+    if (!level.parentName) return;
+    const key = nameKey(level.parentName);
+
+    if (key === nameKey(level.fields.name)) {
+      errors.push(importError(level.row, 'reportsTo', 'A level cannot report to itself'));
+      return;
+    }
+
+    const parentRow = levelByName.get(key);
+    const parentLevel = !replace && existingByName.get(key);
+    if (!parentRow && !parentLevel) {
+      errors.push(importError(level.row, 'reportsTo', `Unknown parent level "${level.parentName}"`));
+      return;
+    }
+
+    level.parent = parentRow || null;
+    level.parentId = parentLevel ? parentLevel._id : null;
+
+    const parentNumber = parentRow ? parentRow.fields.level : parentLevel.level;
+    if (level.fields.level !== undefined && parentNumber !== undefined && level.fields.level <= parentNumber) {
+      errors.push(importError(level.row, 'level', `level must be greater than its parent's level (${parentNumber})`));
+    }
+  });
+
+  // Loops among the rows, reported once on every row in them
+  const inLoop = new Set();
+  levels.forEach(level => {
+    const path = [];
+    let current = level;
+    while (current && !path.includes(current)) {
+      path.push(current);
+      current = current.parent;
+    }
+    if (current !== level || inLoop.has(level)) return;
+
+    const names = [...path, level].map(item => item.fields.name).join(' → ');
+    path.forEach(item => {
+      inLoop.add(item);
+      errors.push(importError(item.row, 'reportsTo', `reportsTo forms a loop: ${names}`));
+    });
+  });
+
+  // Levels left out of a replacement are deleted, but never from under users
+  let removed = [];
+  if (replace) {
+    removed = existing.filter(level => !levelByName.has(nameKey(level.name)));
+    for (const level of removed) {
+      const held = await User.countDocuments({ company: companyId, hierarchyLevel: level._id })
+        + await Membership.countDocuments({ company: companyId, hierarchyLevel: level._id });
+      if (held > 0) {
+        errors.push(importError(null, 'replace', `Level "${level.name}" is held by ${held} user(s); include it in the import or reassign them first`));
+      }
+    }
+  }
+
+  errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  return { errors, plan: { levels, removed } };
+};
+
+// Write a validated import in one transaction
+exports.applyImport = async (companyId, { levels, removed }) => {
+  levels.forEach(level => {
+    level._id = level.existing ? level.existing._id : new mongoose.Types.ObjectId();
+  });
+  const documentOf = (level) => ({
+    ...level.fields,
+    reportsTo: level.parent ? level.parent._id : level.parentId
+  });
+
+  const inserts = levels.filter(level => !level.existing);
+  const updates = levels.filter(level => level.existing);
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      if (removed.length > 0) {
+        await HierarchyLevel.deleteMany(
+          { company: companyId, _id: { $in: removed.map(level => level._id) } },
+          { session }
+        );
+      }
+
+      await HierarchyLevel.insertMany(
+        inserts.map(level => ({ _id: level._id, company: companyId, ...documentOf(level) })),
+        { session }
+      );
+
+      for (const level of updates) {
+        await HierarchyLevel.updateOne(
+          { _id: level._id, company: companyId },
+          documentOf(level),
+          { session }
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return {
+    created: inserts.length,
+    updated: updates.length,
+    deleted: removed.length
+  };
+};
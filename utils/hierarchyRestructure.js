@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { managedIdsFor } = require('./hierarchyHelper');
+
+// Moving, renumbering and deleting hierarchy levels. Each operation is planned
+// on a copy of the company's levels first, so the same plan can be shown as a
+// dry-run preview or written to the database.
+
+const idString = (value) => (value?._id || value)?.toString() || null;
+
+// Levels keyed by id with plain string references
+const copyLevels = (levels) => new Map(levels.map(level => [level._id.toString(), {
+  _id: level._id.toString(),
+  name: level.name,
+  level: level.level,
+  reportsTo: idString(level.reportsTo),
+  canAssignTasks: Boolean(level.permissions?.canAssignTasks)
+}]));
+
+const childrenOf = (levelMap, levelId) =>
+  [...levelMap.values()].filter(level => level.reportsTo === levelId);
+
+// Give a level `number` and every level below it its parent's number plus one
+const renumberFrom = (levelMap, levelId, number) => {
+  const stack = [[levelId, number]];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const [id, value] = stack.pop();
+    // Levels already in a reporting loop are only numbered once
+    if (seen.has(id)) continue;
+    seen.add(id);
+    levelMap.get(id).level = value;
+    childrenOf(levelMap, id).forEach(child => stack.push([child._id, value + 1]));
+  }
+};
+
+// Number of the top of the hierarchy, for levels that move there
+const topNumber = (levelMap, exceptId) => {
+  const numbers = [...levelMap.values()]
+    .filter(level => !level.reportsTo && level._id !== exceptId)
+    .map(level => level.level);
+  return numbers.length > 0 ? Math.min(...numbers) : 1;
+};
+
+// Whether putting levelId under parentId would make a level report to itself
+exports.createsCycle = (levels, levelId, parentId) => {
+  const levelMap = copyLevels(levels);
+  const seen = new Set();
+  let current = idString(parentId);
+  while (current && !seen.has(current)) {
+    if (current === idString(levelId)) return true;
+    seen.add(current);
+    current = levelMap.get(current)?.reportsTo;
+  }
+  return false;
+};
+
+// Move a level under another one (null for the top); the moved subtree is
+// renumbered below its new parent
+exports.planMove = (levels, levelId, parentId) => {
+  const levelMap = copyLevels(levels);
+  const parent = parentId ? levelMap.get(idString(parentId)) : null;
+
+  if (parentId && !parent) {
+    return { error: 'Parent level must belong to your company' };
+  }
+  if (parent && exports.createsCycle(levels, levelId, parent._id)) {
+    return { error: 'A level cannot be moved under itself or a level below it' };
+  }
+
+  levelMap.get(levelId).reportsTo = parent ? parent._id : null;
+  renumberFrom(levelMap, levelId, parent ? parent.level + 1 : topNumber(levelMap, levelId));
+  return { plan: { levels: levelMap } };
+};
+
+// Give a level a new number, by default one below its parent, and renumber
+// the levels below it to match
+exports.planRenumber = (levels, levelId, number) => {
+  const levelMap = copyLevels(levels);
+  const level = levelMap.get(levelId);
+  const parent = level.reportsTo ? levelMap.get(level.reportsTo) : null;
+
+  let value = number;
+  if (value === undefined || value === null) {
+    value = parent ? parent.level + 1 : level.level;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    return { error: 'level must be a whole number of 0 or more' };
+  }
+  if (parent && value <= parent.level) {
+    return { error: `level must be greater than its parent's level (${parent.level})` };
+  }
+
+  renumberFrom(levelMap, levelId, value);
+  return { plan: { levels: levelMap } };
+};
+
+// Delete a level: its users move to reassignTo and the levels below it move
+// up to its parent
+exports.planDelete = (levels, levelId, reassignTo) => {
+  const levelMap = copyLevels(levels);
+  const level = levelMap.get(levelId);
+  const target = reassignTo ? levelMap.get(idString(reassignTo)) : null;
+
+  if (!reassignTo) {
+    return { error: 'Please provide reassignTo, the level that takes over the users on this one' };
+  }
+  if (!target) {
+    return { error: 'reassignTo must be a hierarchy level of your company' };
+  }
+  if (target._id === levelId) {
+    return { error: 'reassignTo must be a different level' };
+  }
+
+  const parent = level.reportsTo ? levelMap.get(level.reportsTo) : null;
+  childrenOf(levelMap, levelId).forEach(child => {
+    child.reportsTo = level.reportsTo;
+    renumberFrom(levelMap, child._id, parent ? parent.level + 1 : level.level);
+  });
+  levelMap.delete(levelId);
+
+  return { plan: { levels: levelMap, removed: levelId, reassignTo: target._id } };
+};
+
+const person = (member) => ({
+  _id: member._id,
+  name: member.name,
+  email: member.email,
+  ...(member.guest && { guest: true })
+});
+
+const levelSummary = (level) => level && {
+  _id: level._id,
+  name: level.name,
+  level: level.level,
+  canAssignTasks: level.canAssignTasks
+};
+
+// What a plan changes: the levels themselves, the people whose level moves
+// and who gains or loses the right to assign tasks to whom
+exports.describePlan = (levels, plan, members, settings) => {
+  const before = copyLevels(levels);
+  const after = plan.levels;
+  const movedLevel = (levelId) => (levelId && levelId === plan.removed ? plan.reassignTo : levelId);
+
+  const levelChanges = [...before.values()]
+    .filter(level => {
+      const next = after.get(level._id);
+      return !next || next.level !== level.level || next.reportsTo !== level.reportsTo;
+    })
+    .map(level => {
+      const next = after.get(level._id);
+      return {
+        _id: level._id,
+        name: level.name,
+        before: { level: level.level, reportsTo: level.reportsTo },
+        after: next ? { level: next.level, reportsTo: next.reportsTo } : null
+      };
+    });
+
+  const users = members
+    .map(member => {
+      const from = before.get(member.hierarchyLevel);
+      const to = after.get(movedLevel(member.hierarchyLevel));
+      if (from?._id === to?._id && from?.level === to?.level) return null;
+      return {
+        ...person(member),
+        hierarchyLevel: { before: levelSummary(from) || null, after: levelSummary(to) || null }
+      };
+    })
+    .filter(Boolean);
+
+  const levelBefore = (member) => (member ? before.get(member.hierarchyLevel)?.level : undefined);
+  const levelAfter = (member) => (member ? after.get(movedLevel(member.hierarchyLevel))?.level : undefined);
+  const memberById = new Map(members.map(member => [member._id.toString(), member]));
+  const people = (ids) => ids.map(id => person(memberById.get(id)));
+
+  const assignmentRights = members
+    .map(member => {
+      const id = member._id.toString();
+      const was = managedIdsFor(members, levelBefore, id, settings);
+      const will = managedIdsFor(members, levelAfter, id, settings);
+      const gained = [...will].filter(managedId => !was.has(managedId));
+      const lost = [...was].filter(managedId => !will.has(managedId));
+      if (gained.length === 0 && lost.length === 0) return null;
+      return { user: person(member), gained: people(gained), lost: people(lost) };
+    })
+    .filter(Boolean);
+
+  return {
+    taskAuthorization: settings,
+    levels: levelChanges,
+    users,
+    assignmentRights
+  };
+};
+
+// Write a plan in one transaction
+exports.applyPlan = async (companyId, levels, plan) => {
+  const before = copyLevels(levels);
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const level of plan.levels.values()) {
+        const old = before.get(level._id);
+        if (old.level === level.level && old.reportsTo === level.reportsTo) continue;
+        await HierarchyLevel.updateOne(
+          { _id: level._id, company: companyId },
+          { level: level.level, reportsTo: level.reportsTo },
+          { session }
+        );
+      }
+
+      if (plan.removed) {
+        // Inactive users and members keep a valid level too
+        const reassign = [
+          { company: companyId, hierarchyLevel: plan.removed },
+          { hierarchyLevel: plan.reassignTo },
+          { session }
+        ];
+        await User.updateMany(...reassign);
+        await Membership.updateMany(...reassign);
+        await HierarchyLevel.deleteOne({ _id: plan.removed, company: companyId }, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+};
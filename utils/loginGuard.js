@@ -0,0 +1,140 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const { sendEmail } = require('./emailService');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const BACKOFF_BASE_SECONDS = 1;
+const BACKOFF_MAX_SECONDS = 60;
+
+const MINUTE = 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// 1s, 2s, 4s, ... after each consecutive failure
+const backoffSeconds = (failures) =>
+  Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - 1), BACKOFF_MAX_SECONDS);
+
+// Seconds the caller has to wait because of one counter
+const waitFor = (entry, now) => {
+  if (!entry) return { wait: 0, locked: false };
+
+  if (entry.lockedUntil && entry.lockedUntil > now) {
+    return { wait: Math.ceil((entry.lockedUntil - now) / 1000), locked: true };
+  }
+
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE);
+  if (!entry.lastFailureAt || entry.lastFailureAt < windowStart || entry.failures < 1) {
+    return { wait: 0, locked: false };
+  }
+
+  const nextAttemptAt = entry.lastFailureAt.getTime() + backoffSeconds(entry.failures) * 1000;
+  return { wait: Math.max(0, Math.ceil((nextAttemptAt - now) / 1000)), locked: false };
+};
+
+// Failures older than the window start a fresh count
+const incrementFailures = (key, kind, now) => {
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE);
+
+  return LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        kind,
+        failures: {
+          $cond: [
+            { $lt: [{ $ifNull: ['$lastFailureAt', new Date(0)] }, windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] }
+          ]
+        },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + (FAILURE_WINDOW_MINUTES + LOCKOUT_MINUTES) * MINUTE)
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+// Returns true when this failure is the one that locked the counter
+const lockIfNeeded = async (entry, maxFailures, now) => {
+  if (entry.failures < maxFailures || (entry.lockedUntil && entry.lockedUntil > now)) {
+    return false;
+  }
+
+  entry.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE);
+  entry.expiresAt = new Date(entry.lockedUntil.getTime() + FAILURE_WINDOW_MINUTES * MINUTE);
+  await entry.save();
+  return true;
+};
+
+const notifyLockout = async (email, ip, lockedUntil) => {
+  const user = await User.findOne({ email: String(email).toLowerCase() });
+  if (!user) return;
+
+  await sendEmail({
+    to: user.email,
+    type: 'ACCOUNT_LOCKED',
+    data: {
+      name: user.name,
+      ip,
+      lockedUntil
+    },
+    company: user.company
+  });
+};
+
+// Check both the account and the IP counters before a login attempt
+exports.checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const entries = await LoginThrottle.find({
+    key: { $in: [accountKey(email), ipKey(ip)] }
+  });
+
+  let retryAfter = 0;
+  let locked = false;
+
+  for (const entry of entries) {
+    const result = waitFor(entry, now);
+    retryAfter = Math.max(retryAfter, result.wait);
+    locked = locked || result.locked;
+  }
+
+  return { allowed: retryAfter === 0, retryAfter, locked };
+};
+
+exports.recordFailedLogin = async (email, ip) => {
+  const now = new Date();
+
+  const [accountEntry, ipEntry] = await Promise.all([
+    incrementFailures(accountKey(email), 'account', now),
+    incrementFailures(ipKey(ip), 'ip', now)
+  ]);
+
+  const [accountLocked] = await Promise.all([
+    lockIfNeeded(accountEntry, MAX_ACCOUNT_FAILURES, now),
+    lockIfNeeded(ipEntry, MAX_IP_FAILURES, now)
+  ]);
+
+  if (accountLocked) {
+    try {
+      await notifyLockout(email, ip, accountEntry.lockedUntil);
+    } catch (error) {
+      console.error('Error sending lockout notification:', error);
+    }
+  }
+};
+
+// A successful login resets the account counter (the IP counter decays on its own)
+exports.clearFailedLogins = async (email) => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+// Admin unlock; returns true if the account had a counter to clear
+exports.unlockAccount = async (email) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
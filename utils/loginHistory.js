@@ -0,0 +1,19 @@
+const LoginEvent = require('../models/LoginEvent');
+
+// Record a login attempt. Never lets a logging failure break the login itself.
+exports.recordLoginEvent = async (req, { user, email, success, method, reason }) => {
+  try {
+    await LoginEvent.create({
+      user: user?._id,
+      email: email || user?.email,
+      company: user?.company?._id || user?.company,
+      success,
+      method,
+      reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Error recording login event:', error);
+  }
+};
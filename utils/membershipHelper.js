@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const { runAsSystem } = require('./tenantContext');
+
+const idString = (value) => (value?._id || value)?.toString();
+
+// A user's role, hierarchy level, manager and departments in a company, or
+// null when they do not belong to it. The user's own company comes from the
+// User document; other companies from their active membership.
+exports.getMembership = async (user, companyId) => {
+  if (!companyId || idString(companyId) === idString(user.company)) {
+    return {
+      company: user.company?._id || user.company || null,
+      role: user.role,
+      hierarchyLevel: user.hierarchyLevel,
+      reportsTo: user.reportsTo,
+      departments: user.departments,
+      home: true
+    };
+  }
+
+  if (!mongoose.isValidObjectId(companyId)) return null;
+
+  return runAsSystem(() => Membership.findOne({
+    user: user._id,
+    company: companyId,
+    active: true
+  }).lean());
+};
+
+// Make the user look like a member of the membership's company, so code that
+// reads req.user.company, role or hierarchyLevel keeps working. The document
+// is only a view of the user; it must never be saved.
+exports.applyMembership = (user, membership) => {
+  user.set({
+    company: membership.company,
+    role: membership.role,
+    hierarchyLevel: membership.hierarchyLevel || null,
+    reportsTo: membership.reportsTo || null,
+    departments: membership.departments || []
+  });
+  return user;
+};
+
+// A user as a member of the company, whether it is their own or they joined
+// it through a membership
+exports.findCompanyMember = async (companyId, userId) => {
+  if (!mongoose.isValidObjectId(userId)) return null;
+
+  const user = await runAsSystem(() => User.findById(userId).select('-password'));
+  if (!user) return null;
+
+  const membership = await exports.getMembership(user, companyId);
+  return membership ? exports.applyMembership(user, membership) : null;
+};
+
+// Users from other companies with an active membership in this one
+exports.findGuestMembers = async (companyId, { role } = {}) => {
+  const memberships = await Membership.find({
+    company: companyId,
+    active: true,
+    ...(role && { role })
+  }).lean();
+  if (memberships.length === 0) return [];
+
+  const users = await runAsSystem(() => User.find({
+    _id: { $in: memberships.map(membership => membership.user) }
+  }).select('-password'));
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return memberships
+    .filter(membership => userById.has(membership.user.toString()))
+    .map(membership => exports.applyMembership(userById.get(membership.user.toString()), membership));
+};
+
+// Every company the user can switch to, their own first
+exports.listMemberships = async (user) => {
+  const home = user.company
+    ? await runAsSystem(() => Company.findById(idString(user.company)).select('name').lean())
+    : null;
+
+  const memberships = await runAsSystem(() => Membership.find({ user: user._id, active: true })
+    .populate('company', 'name')
+    .populate('hierarchyLevel', 'name level')
+    .lean());
+
+  return [
+    ...(home ? [{ company: home, role: user.role, home: true }] : []),
+    ...memberships
+      .filter(membership => membership.company)
+      .map(membership => ({
+        company: membership.company,
+        role: membership.role,
+        hierarchyLevel: membership.hierarchyLevel,
+        home: false
+      }))
+  ];
+};
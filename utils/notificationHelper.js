@@ -1,5 +1,6 @@
 const { createNotification } = require('../controllers/notification.controller');
 const { getIo } = require('../socket');
+const { getCompanySettings, formatDateTime } = require('./companyCalendar');
 
 const NotificationHelper = {
   async taskAssigned(task, assignedBy) {
@@ -124,6 +125,22 @@ const NotificationHelper = {
     }
   },
 
+  async accountAccessed(user, { startedAt, endedAt, writeCount }) {
+    try {
+      const settings = await getCompanySettings(user.company);
+      await createNotification({
+        user: user._id,
+        type: 'ACCOUNT_ACCESSED',
+        title: 'Support accessed your account',
+        message: `A Workzen support administrator signed in as you from ${formatDateTime(startedAt, settings)} to ${formatDateTime(endedAt, settings)} and made ${writeCount} change(s).`,
+        priority: 'high',
+        company: user.company
+      });
+    } catch (error) {
+      console.error('Error creating account accessed notification:', error);
+    }
+  },
+
   async taskOverdue(task) {
     try {
       await createNotification({
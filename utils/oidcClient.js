@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and key sets rarely change; cache them briefly
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+};
+
+const cachedJson = async (url) => {
+  const hit = cache.get(url);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.value;
+  }
+
+  const value = await fetchJson(url);
+  cache.set(url, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// A local mock provider over plain http is only for development and tests,
+// or when SSO_ALLOW_HTTP_LOCALHOST=true is set explicitly
+const allowsHttpLocalhost = () =>
+  ['development', 'test'].includes(process.env.NODE_ENV)
+  || process.env.SSO_ALLOW_HTTP_LOCALHOST === 'true';
+
+// Providers must use https, except a provider on localhost where allowed
+exports.isAllowedIssuer = (issuer) => {
+  try {
+    const url = new URL(issuer);
+    if (url.protocol === 'https:') return true;
+    return allowsHttpLocalhost()
+      && url.protocol === 'http:'
+      && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+exports.discover = async (issuer) => {
+  const config = await cachedJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+    throw new Error('OIDC discovery document is missing required endpoints');
+  }
+  return config;
+};
+
+exports.createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+exports.randomValue = () => base64url(crypto.randomBytes(24));
+
+exports.buildAuthorizationUrl = (config, { clientId, redirectUri, state, nonce, codeChallenge }) => {
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: 'openid email profile',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+};
+
+exports.exchangeCode = (config, { code, redirectUri, clientId, clientSecret, codeVerifier }) =>
+  fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+
+// Verify the ID token signature against the provider's JWKS and check the
+// issuer, audience, expiry and nonce. Returns the token claims.
+exports.verifyIdToken = async (idToken, config, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const { keys = [] } = await cachedJson(config.jwks_uri);
+  const jwk = keys.find(key => key.kid === decoded.header.kid) || (keys.length === 1 ? keys[0] : null);
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: config.issuer,
+    audience: clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const HierarchyLevel = require('../models/HierarchyLevel');
+const { findGuestMembers } = require('./membershipHelper');
+
+const idString = (value) => (value?._id || value)?.toString() || null;
+
+const levelSummary = (level) => level && { _id: level._id, name: level.name, level: level.level };
+
+// Everyone who works in the company, including members from other companies,
+// as plain people with their level and manager in this company
+exports.loadOrgMembers = async (companyId) => {
+  const users = await User.find({ company: companyId, active: { $ne: false } })
+    .select('name email avatar role status hierarchyLevel reportsTo departments')
+    .lean();
+  const guests = await findGuestMembers(companyId);
+
+  return [
+    ...users,
+    ...guests
+      .filter(guest => guest.active !== false)
+      .map(guest => ({
+        ...guest.toObject(),
+        guest: true
+      }))
+  ].map(member => ({
+    _id: member._id,
+    name: member.name,
+    email: member.email,
+    avatar: member.avatar,
+    role: member.role,
+    status: member.status,
+    hierarchyLevel: idString(member.hierarchyLevel),
+    reportsTo: idString(member.reportsTo),
+    departments: (member.departments || []).map(idString),
+    ...(member.guest && { guest: true })
+  }));
+};
+
+exports.loadOrgLevels = (companyId) => HierarchyLevel.find({ company: companyId })
+  .select('name level reportsTo')
+  .sort('level')
+  .lean();
+
+// Index of people and levels shared by the tree and chain builders. A manager
+// outside the company, or a reporting loop, makes a person a root so nobody
+// drops out of the chart.
+exports.indexOrg = (members, levels) => {
+  const memberById = new Map(members.map(member => [member._id.toString(), member]));
+  const levelById = new Map(levels.map(level => [level._id.toString(), level]));
+  const reportsById = new Map();
+
+  members.forEach(member => {
+    const managerId = member.reportsTo;
+    if (!managerId || !memberById.has(managerId) || managerId === member._id.toString()) return;
+    if (!reportsById.has(managerId)) reportsById.set(managerId, []);
+    reportsById.get(managerId).push(member);
+  });
+  reportsById.forEach(reports => reports.sort((a, b) => a.name.localeCompare(b.name)));
+
+  const isRoot = (member) => !member.reportsTo
+    || !memberById.has(member.reportsTo)
+    || member.reportsTo === member._id.toString();
+  const roots = members.filter(isRoot);
+
+  // People in a reporting loop are unreachable from the roots; the first of
+  // each loop becomes a root
+  const reached = new Set();
+  const mark = (member) => {
+    const stack = [member];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      const id = current._id.toString();
+      if (reached.has(id)) continue;
+      reached.add(id);
+      (reportsById.get(id) || []).forEach(report => stack.push(report));
+    }
+  };
+  roots.forEach(mark);
+  members.forEach(member => {
+    if (reached.has(member._id.toString())) return;
+    roots.push(member);
+    mark(member);
+  });
+  roots.sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    memberById,
+    levelById,
+    reportsById,
+    roots,
+    rootIds: new Set(roots.map(root => root._id.toString()))
+  };
+};
+
+// Levels that report to a level, i.e. the positions below someone holding it
+const childLevels = (levels, levelId) =>
+  levels.filter(level => idString(level.reportsTo) === levelId);
+
+// A person and the tree below them, down to `depth` levels (null for all).
+// Headcounts always cover the whole subtree, even where it is cut off.
+exports.buildNode = (org, levels, member, depth = null) => {
+  const id = member._id.toString();
+  const reports = (org.reportsById.get(id) || [])
+    .filter(report => !org.rootIds.has(report._id.toString()));
+
+  const level = org.levelById.get(member.hierarchyLevel);
+  const childNodes = reports.map(report =>
+    exports.buildNode(org, levels, report, depth === null ? null : depth - 1));
+
+  const node = {
+    ...member,
+    hierarchyLevel: levelSummary(level) || null,
+    directReports: reports.length,
+    headcount: childNodes.reduce((sum, child) => sum + 1 + child.headcount, 0),
+    children: []
+  };
+
+  // Positions below this person's level that nobody reporting to them holds
+  const heldLevels = new Set(reports.map(report => report.hierarchyLevel));
+  const vacancies = level
+    ? childLevels(levels, level._id.toString())
+      .filter(childLevel => !heldLevels.has(childLevel._id.toString()))
+      .map(childLevel => ({ vacant: true, hierarchyLevel: levelSummary(childLevel) }))
+    : [];
+
+  if (depth !== null && depth <= 0) {
+    node.truncated = childNodes.length > 0 || vacancies.length > 0;
+    return node;
+  }
+
+  node.children = [...childNodes, ...vacancies];
+  return node;
+};
+
+// The whole chart: every root with its tree, plus top positions nobody holds
+exports.buildOrgChart = (members, levels, { depth = null } = {}) => {
+  const org = exports.indexOrg(members, levels);
+  const roots = org.roots.map(root => exports.buildNode(org, levels, root, depth));
+
+  const heldLevels = new Set(members.map(member => member.hierarchyLevel));
+  const vacantTopPositions = levels
+    .filter(level => !level.reportsTo && !heldLevels.has(level._id.toString()))
+    .map(level => ({ vacant: true, hierarchyLevel: levelSummary(level) }));
+
+  return {
+    headcount: members.length,
+    roots,
+    vacantTopPositions
+  };
+};
+
+// From a person up through their managers to the top
+exports.buildChain = (members, levels, memberId) => {
+  const org = exports.indexOrg(members, levels);
+  const chain = [];
+  const seen = new Set();
+
+  let current = org.memberById.get(memberId);
+  while (current && !seen.has(current._id.toString())) {
+    seen.add(current._id.toString());
+    const { reportsTo, ...person } = current;
+    chain.push({
+      ...person,
+      hierarchyLevel: levelSummary(org.levelById.get(current.hierarchyLevel)) || null
+    });
+    current = reportsTo && org.memberById.get(reportsTo);
+  }
+
+  return chain;
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Company = require('../models/Company');
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  historyCount: 0,
+  maxAgeDays: 0
+};
+
+// Bounds for what a company admin may configure
+const LIMITS = {
+  minLength: [8, 128],
+  historyCount: [0, 24],
+  maxAgeDays: [0, 365]
+};
+
+const COMMON_PASSWORDS_FILE = process.env.COMMON_PASSWORDS_FILE
+  || path.join(__dirname, '../config/common-passwords.txt');
+
+// Loaded once at startup; a missing file disables the check rather than every login
+const loadCommonPasswords = () => {
+  try {
+    return new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.error('Could not load common password list:', error.message);
+    return new Set();
+  }
+};
+
+const commonPasswords = loadCommonPasswords();
+
+// "Summer2024!" is as guessable as "summer", so also check the word without
+// its trailing digits and symbols
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  const base = lowered.replace(/[\d\W_]+$/, '');
+  return commonPasswords.has(lowered) || (base.length > 0 && commonPasswords.has(base));
+};
+
+const passwordError = (code, message) => ({ field: 'password', code, message });
+
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
+
+// Merge a company's stored policy over the defaults. Super admins and
+// companies that never configured a policy get the defaults.
+exports.getPasswordPolicy = async (companyId) => {
+  if (!companyId) return { ...DEFAULT_POLICY };
+
+  const company = await Company.findById(companyId).select('passwordPolicy');
+  return { ...DEFAULT_POLICY, ...(company?.toObject().passwordPolicy || {}) };
+};
+
+// Validate a policy update from an admin; returns the cleaned policy and any errors
+exports.normalizePolicy = (input) => {
+  const policy = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ field: 'passwordPolicy', code: 'invalid_type', message: 'passwordPolicy must be an object' });
+    return { policy, errors };
+  }
+
+  Object.keys(input).forEach(key => {
+    if (!(key in DEFAULT_POLICY)) {
+      errors.push({ field: `passwordPolicy.${key}`, code: 'unknown_setting', message: `Unknown setting ${key}` });
+      return;
+    }
+
+    const value = input[key];
+    if (typeof DEFAULT_POLICY[key] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push({ field: `passwordPolicy.${key}`, code: 'invalid_type', message: `${key} must be a boolean` });
+        return;
+      }
+      policy[key] = value;
+      return;
+    }
+
+    const [min, max] = LIMITS[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push({
+        field: `passwordPolicy.${key}`,
+        code: 'out_of_range',
+        message: `${key} must be a whole number between ${min} and ${max}`
+      });
+      return;
+    }
+    policy[key] = value;
+  });
+
+  return { policy, errors };
+};
+
+// Check a candidate password against a policy. Returns a list of
+// { field, code, message } errors, empty when the password is acceptable.
+exports.validatePassword = (password, policy = DEFAULT_POLICY, { email, name } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [passwordError('required', 'Password is required')];
+  }
+
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(passwordError('too_short', `Password must be at least ${policy.minLength} characters`));
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push(passwordError('missing_uppercase', 'Password must contain an uppercase letter'));
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push(passwordError('missing_lowercase', 'Password must contain a lowercase letter'));
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push(passwordError('missing_number', 'Password must contain a number'));
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push(passwordError('missing_symbol', 'Password must contain a symbol'));
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push(passwordError('common_password', 'Password is too common or has appeared in a data breach'));
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [email?.split('@')[0], name].filter(value => value && value.length >= 3);
+  if (personal.some(value => lowered.includes(value.toLowerCase()))) {
+    errors.push(passwordError('contains_personal_info', 'Password must not contain your name or email'));
+  }
+
+  return errors;
+};
+
+// Reuse check against the current password and the last historyCount ones.
+// The user must be loaded with +password +passwordHistory.
+exports.checkPasswordReuse = async (user, password, policy) => {
+  const history = policy.historyCount > 0 ? (user.passwordHistory || []).slice(-policy.historyCount) : [];
+  const hashes = [user.password, ...history].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return [passwordError(
+        'password_reused',
+        policy.historyCount > 0
+          ? `Password must differ from your last ${policy.historyCount} passwords`
+          : 'New password must differ from your current password'
+      )];
+    }
+  }
+
+  return [];
+};
+
+// Hash and store a new password, keeping the previous hash for reuse checks
+exports.setPassword = async (user, password, policy = DEFAULT_POLICY) => {
+  if (user.password && policy.historyCount > 0) {
+    user.passwordHistory = [...(user.passwordHistory || []), user.password].slice(-policy.historyCount);
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  user.passwordChangedAt = new Date();
+};
+
+exports.isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Boolean(changedAt)
+    && Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Sessions for users whose password has expired may only change the password
+exports.getSessionScope = async (user) => {
+  const policy = await exports.getPasswordPolicy(user.company?._id || user.company);
+  return exports.isPasswordExpired(user, policy) ? 'password_change' : undefined;
+};
+
+exports.sendPasswordErrors = (res, errors) => res.status(400).json({
+  message: 'Password does not meet the requirements',
+  errors
+});
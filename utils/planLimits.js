@@ -0,0 +1,139 @@
+const fs = require('fs');
+const Company = require('../models/Company');
+const Plan = require('../models/Plan');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+
+class QuotaExceededError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = code;
+    this.statusCode = 403;
+  }
+}
+
+const LIMIT_FIELDS = ['seats', 'storageBytes', 'chatRetentionDays'];
+
+// Effective limits and features of a company plan. Companies without a plan
+// have no limits and every feature.
+const resolvePlan = (plan) => {
+  const limits = {};
+  LIMIT_FIELDS.forEach(field => {
+    limits[field] = plan?.limits?.[field] ?? null;
+  });
+
+  return {
+    plan: plan ? { _id: plan._id, name: plan.name } : null,
+    limits,
+    features: plan ? [...plan.features] : [...Plan.FEATURES]
+  };
+};
+
+exports.QuotaExceededError = QuotaExceededError;
+exports.LIMIT_FIELDS = LIMIT_FIELDS;
+exports.resolvePlan = resolvePlan;
+
+exports.getCompanyPlan = async (companyId) => {
+  if (!companyId) return resolvePlan(null);
+
+  const company = await Company.findById(companyId).select('plan').populate('plan');
+  return resolvePlan(company?.plan);
+};
+
+exports.getDefaultPlan = () => Plan.findOne({ isDefault: true, active: true });
+
+// Users holding a seat: everyone not deactivated, including pending invites
+// Members joining from other companies take a seat like the company's own users
+exports.countSeats = async (companyId) =>
+  await User.countDocuments({ company: companyId, active: { $ne: false } })
+  + await Membership.countDocuments({ company: companyId, active: true });
+
+// Error for adding `count` more users, or null when there is room
+exports.seatLimitError = async (companyId, count = 1) => {
+  const { limits } = await exports.getCompanyPlan(companyId);
+  if (limits.seats === null) return null;
+
+  const used = await exports.countSeats(companyId);
+  if (used + count <= limits.seats) return null;
+
+  return new QuotaExceededError(
+    'SEAT_LIMIT_REACHED',
+    `Your plan allows ${limits.seats} users. Remove or deactivate users, or upgrade your plan.`
+  );
+};
+
+exports.featureError = async (companyId, feature) => {
+  const { features } = await exports.getCompanyPlan(companyId);
+  if (features.includes(feature)) return null;
+
+  return new QuotaExceededError(
+    'FEATURE_NOT_IN_PLAN',
+    `Your plan does not include ${feature.replace('_', ' ')}. Upgrade your plan to use it.`
+  );
+};
+
+// Count an uploaded file against the company's storage. The check and the
+// increment are one update so parallel uploads cannot overshoot the limit.
+exports.reserveStorage = async (companyId, bytes) => {
+  const { limits } = await exports.getCompanyPlan(companyId);
+
+  if (limits.storageBytes === null) {
+    await Company.updateOne({ _id: companyId }, { $inc: { 'usage.storageBytes': bytes } });
+    return null;
+  }
+
+  const result = bytes <= limits.storageBytes
+    ? await Company.updateOne({
+      _id: companyId,
+      $or: [
+        { 'usage.storageBytes': { $lte: limits.storageBytes - bytes } },
+        { 'usage.storageBytes': { $exists: false } }
+      ]
+    }, { $inc: { 'usage.storageBytes': bytes } })
+    : { modifiedCount: 0 };
+
+  if (result.modifiedCount > 0) return null;
+
+  return new QuotaExceededError(
+    'STORAGE_LIMIT_REACHED',
+    'Your company has used all of its file storage. Delete files or upgrade your plan.'
+  );
+};
+
+exports.releaseStorage = async (companyId, bytes) => {
+  if (!bytes) return;
+  await Company.updateOne({ _id: companyId }, { $inc: { 'usage.storageBytes': -bytes } });
+};
+
+// Delete uploaded files and release the storage they held. Sizes are read
+// from disk, so files stored without a recorded size are released too.
+exports.deleteStoredFiles = async (companyId, filePaths) => {
+  let releasedBytes = 0;
+  for (const filePath of filePaths.filter(Boolean)) {
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats) continue;
+    await fs.promises.unlink(filePath);
+    releasedBytes += stats.size;
+  }
+  await exports.releaseStorage(companyId, releasedBytes);
+};
+
+// Consumption against each limit for a company document with its plan populated
+exports.getCompanyUsage = async (company) => {
+  const { plan, limits, features } = resolvePlan(company.plan);
+
+  return {
+    company: { _id: company._id, name: company.name },
+    plan,
+    seats: { used: await exports.countSeats(company._id), limit: limits.seats },
+    storageBytes: { used: company.usage?.storageBytes || 0, limit: limits.storageBytes },
+    chatRetentionDays: { limit: limits.chatRetentionDays },
+    features
+  };
+};
+
+exports.sendQuotaError = (res, error) => res.status(error.statusCode).json({
+  message: error.message,
+  code: error.code
+});
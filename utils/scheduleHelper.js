@@ -1,43 +1,164 @@
 const cron = require('node-cron');
 const Task = require('../models/Task');
+const Company = require('../models/Company');
+const Plan = require('../models/Plan');
+const { Chat } = require('../models/Chat');
 const NotificationHelper = require('./notificationHelper');
+const AuditLog = require('../models/AuditLog');
+const { notifyImpersonationFinished } = require('./auditLog');
+const { revokeCompanySessions } = require('./sessionHelper');
+const { deleteStoredFiles } = require('./planLimits');
+const { resumeExports, expireExports } = require('./companyExport');
+const {
+  resolveSettings,
+  isWorkingDay,
+  isLocalTimeWithin,
+  dayBounds,
+  nextWorkingDayEnd
+} = require('./companyCalendar');
+
+// The company job runs this often and acts once the local clock enters the window
+const COMPANY_JOB_INTERVAL_MINUTES = 15;
+
+// Remind assignees of tasks due by the end of the next working day
+const sendDeadlineReminders = async (companyId, settings, now) => {
+  const approachingDeadlines = await Task.find({
+    company: companyId,
+    completedAt: null,
+    dueDate: {
+      $gte: now,
+      $lte: nextWorkingDayEnd(now, settings)
+    }
+  });
+
+  for (const task of approachingDeadlines) {
+    await NotificationHelper.deadlineApproaching(task);
+  }
+};
+
+// Tasks due before the start of the company's local today
+const sendOverdueNotices = async (companyId, settings, now) => {
+  const overdueTasks = await Task.find({
+    company: companyId,
+    completedAt: null,
+    dueDate: { $lt: dayBounds(now, settings.timezone).start }
+  });
+
+  for (const task of overdueTasks) {
+    await NotificationHelper.taskOverdue(task);
+  }
+};
+
+// Delete chat messages older than the plan's retention, with their attachments
+const purgeExpiredMessages = async (companyId, retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const chats = await Chat.find({ company: companyId, 'messages.createdAt': { $lt: cutoff } })
+    .select('messages.createdAt messages.attachments');
+
+  for (const chat of chats) {
+    const attachments = chat.messages
+      .filter(message => message.createdAt < cutoff)
+      .flatMap(message => message.attachments);
+
+    await deleteStoredFiles(companyId, attachments.map(attachment => attachment.fileUrl));
+    await Chat.updateOne({ _id: chat._id }, { $pull: { messages: { createdAt: { $lt: cutoff } } } });
+  }
+};
 
 const initializeScheduledTasks = () => {
-  // Check for approaching deadlines daily at 9 AM
-  cron.schedule('0 9 * * *', async () => {
+  // Deadline reminders and overdue notices go out when each company's working
+  // day starts in its own timezone, skipping weekends and holidays
+  cron.schedule(`*/${COMPANY_JOB_INTERVAL_MINUTES} * * * *`, async () => {
+    const now = new Date();
+
     try {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      
-      const approachingDeadlines = await Task.find({
-        status: { $ne: 'completed' },
-        dueDate: {
-          $gte: new Date(),
-          $lte: tomorrow
+      // Suspended companies, including read-only ones, get no notifications
+      const companies = await Company.find({ active: true }).select('settings');
+
+      for (const company of companies) {
+        const settings = resolveSettings(company.toObject().settings);
+
+        if (!isLocalTimeWithin(now, settings.workingHours.start, COMPANY_JOB_INTERVAL_MINUTES, settings.timezone)
+          || !isWorkingDay(now, settings)) {
+          continue;
         }
-      });
 
-      for (const task of approachingDeadlines) {
-        await NotificationHelper.deadlineApproaching(task);
+        try {
+          await sendDeadlineReminders(company._id, settings, now);
+          await sendOverdueNotices(company._id, settings, now);
+        } catch (error) {
+          console.error(`Error sending deadline notifications for company ${company._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking task deadlines:', error);
+    }
+  });
+
+  // Lock read-only companies whose grace period has ended
+  cron.schedule(`*/${COMPANY_JOB_INTERVAL_MINUTES} * * * *`, async () => {
+    try {
+      const companies = await Company.find({
+        active: false,
+        'suspension.mode': 'read_only',
+        'suspension.lockAt': { $lte: new Date() }
+      }).select('_id');
+
+      for (const company of companies) {
+        await Company.updateOne({ _id: company._id }, { 'suspension.mode': 'locked' });
+        await revokeCompanySessions(company._id, 'company_suspended');
+      }
+    } catch (error) {
+      console.error('Error locking suspended companies:', error);
+    }
+  });
+
+  // Enforce chat history retention for plans that limit it
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      const plans = await Plan.find({ 'limits.chatRetentionDays': { $gt: 0 } }).select('limits');
+
+      for (const plan of plans) {
+        const companies = await Company.find({ plan: plan._id }).select('_id');
+        for (const company of companies) {
+          try {
+            await purgeExpiredMessages(company._id, plan.limits.chatRetentionDays);
+          } catch (error) {
+            console.error(`Error purging chat history for company ${company._id}:`, error);
+          }
+        }
       }
     } catch (error) {
-      console.error('Error checking approaching deadlines:', error);
+      console.error('Error enforcing chat retention:', error);
+    }
+  });
+
+  // Exports cut off by a restart fail; queued ones run again
+  resumeExports().catch(error => console.error('Error resuming exports:', error));
+
+  // Delete export archives past their download window
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      await expireExports();
+    } catch (error) {
+      console.error('Error expiring exports:', error);
     }
   });
 
-  // Check for overdue tasks daily at 12 AM
-  cron.schedule('0 0 * * *', async () => {
+  // Notify users whose impersonation sessions expired without being ended
+  cron.schedule('*/5 * * * *', async () => {
     try {
-      const overdueTasks = await Task.find({
-        status: { $ne: 'completed' },
-        dueDate: { $lt: new Date() }
+      const expiredImpersonations = await AuditLog.find({
+        action: 'IMPERSONATION_STARTED',
+        notifiedAt: null,
+        endsAt: { $lte: new Date() }
       });
 
-      for (const task of overdueTasks) {
-        await NotificationHelper.taskOverdue(task);
+      for (const entry of expiredImpersonations) {
+        await notifyImpersonationFinished(entry, entry.endsAt);
       }
     } catch (error) {
-      console.error('Error checking overdue tasks:', error);
+      console.error('Error notifying expired impersonations:', error);
     }
   });
 };
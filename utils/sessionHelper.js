@@ -0,0 +1,264 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, hashToken } = require('./tokenHelper');
+const { loadCompanyStatus } = require('./companyStatus');
+const { getMembership, applyMembership } = require('./membershipHelper');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MFA_TOKEN_TTL = process.env.MFA_TOKEN_TTL || '10m';
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    role: user.role,
+    company: user.company?._id || user.company,
+    sid: session._id,
+    ...(session.scope && { scope: session.scope })
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Impersonation sessions are short and cannot be refreshed: the access token
+// lives exactly as long as the session and carries the real user as "imp".
+exports.createImpersonationSession = async (targetUser, impersonator, req, durationMinutes) => {
+  const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+  const session = new Session({
+    user: targetUser._id,
+    company: targetUser.company,
+    impersonator: impersonator._id,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt
+  });
+
+  // Satisfies the schema; the matching secret is never handed out
+  issueRefreshToken(session);
+  await session.save();
+
+  const token = jwt.sign(
+    {
+      id: targetUser._id,
+      role: targetUser.role,
+      company: targetUser.company,
+      sid: session._id,
+      imp: impersonator._id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: durationMinutes * 60 }
+  );
+
+  return { token, session, expiresAt };
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without scanning hashes; only the hash of the secret is stored.
+const issueRefreshToken = (session) => {
+  const secret = generateToken(48);
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const isSessionActive = (session) =>
+  session && !session.revokedAt && session.expiresAt > new Date();
+
+// Start a new session for a freshly authenticated user. A scope restricts
+// what the session may do until it is lifted; ssoCompany marks an SSO sign-in.
+exports.createSession = async (user, req, { scope, ssoCompany } = {}) => {
+  const session = new Session({
+    user: user._id,
+    company: user.company?._id || user.company,
+    scope,
+    ssoCompany,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  await User.updateOne(
+    { _id: user._id },
+    { lastLogin: new Date(), lastLoginIp: req.ip }
+  );
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Returns null when the
+// token is not usable; presenting an already-rotated token revokes the family.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId)
+    .select('+refreshTokenHash +previousTokenHashes');
+
+  if (!isSessionActive(session)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    console.warn(`Refresh token reuse detected for session ${session._id}, revoking`);
+    await exports.revokeSession(session._id, 'refresh_token_reuse');
+    return null;
+  }
+
+  if (presentedHash !== session.refreshTokenHash) {
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.active) {
+    await exports.revokeSession(session._id, 'user_unavailable');
+    return null;
+  }
+
+  // The new access token carries the role in the session's company
+  const membership = await getMembership(user, session.company);
+  if (!membership) {
+    await exports.revokeSession(session._id, 'membership_removed');
+    return null;
+  }
+  applyMembership(user, membership);
+
+  if (await loadCompanyStatus(user.company) === 'suspended') {
+    await exports.revokeSession(session._id, 'company_suspended');
+    return null;
+  }
+
+  session.previousTokenHashes.push(session.refreshTokenHash);
+  const newRefreshToken = issueRefreshToken(session);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip;
+  session.userAgent = req.get('user-agent');
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: newRefreshToken,
+    user
+  };
+};
+
+// Move a session to another company the user belongs to and hand back an
+// access token for it. The refresh token stays valid and follows the session;
+// the session's sockets reconnect so they join the new company.
+exports.switchSessionCompany = async (session, user, { scope } = {}) => {
+  const companyId = user.company?._id || user.company;
+  await Session.updateOne(
+    { _id: session._id },
+    { company: companyId, ...(scope && { scope }) }
+  );
+  session.company = companyId;
+  if (scope) session.scope = scope;
+
+  disconnectSessionSockets([session._id]);
+  return signAccessToken(user, session);
+};
+
+// Turn a restricted session into a normal one and hand back an access token
+// without the restriction; the refresh token stays valid.
+exports.liftSessionRestriction = async (session, user) => {
+  await Session.updateOne({ _id: session._id }, { $unset: { scope: 1 } });
+  session.scope = undefined;
+  return signAccessToken(user, session);
+};
+
+// Verify an access token and the session it was issued for. Throws when the
+// token is invalid or the session has been revoked.
+exports.verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!isSessionActive(session) || session.user.toString() !== decoded.id) {
+    throw new Error('Session revoked or expired');
+  }
+
+  return { decoded, session };
+};
+
+// Short-lived token proving the first step of login (password or SSO)
+// succeeded. It is not bound to a session, so protect/auth never accept it as
+// an access token.
+exports.signMfaToken = (user, { method = 'password' } = {}) => jwt.sign(
+  { id: user._id, purpose: 'mfa', method },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_TOKEN_TTL }
+);
+
+exports.verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'mfa') {
+    throw new Error('Not an MFA token');
+  }
+  return decoded;
+};
+
+// Live sockets join a "session-<id>" room at handshake, so revoking a session
+// can also drop its realtime connections.
+const disconnectSessionSockets = (sessionIds) => {
+  if (!global.io) return;
+  sessionIds.forEach(id => {
+    global.io.in(`session-${id}`).disconnectSockets(true);
+  });
+};
+
+const revokeWhere = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  disconnectSessionSockets(ids);
+  return ids.length;
+};
+
+exports.revokeSession = (sessionId, reason = 'logout') =>
+  revokeWhere({ _id: sessionId }, reason);
+
+exports.revokeUserSessions = (userId, reason = 'logout_all') =>
+  revokeWhere({ user: userId }, reason);
+
+exports.revokeCompanySessions = (companyId, reason = 'company_deactivated') =>
+  revokeWhere({ company: companyId }, reason);
+
+// Sessions of one user that are working in the company
+exports.revokeMemberSessions = (userId, companyId, reason = 'membership_changed') =>
+  revokeWhere({ user: userId, company: companyId }, reason);
+
+// Clients reconnect and go through the handshake checks again
+exports.disconnectCompanySockets = (companyId) => {
+  if (!global.io) return;
+  global.io.in(`company-${companyId}`).disconnectSockets(true);
+};
+
+// Sessions that can still be refreshed, newest activity first
+exports.getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort('-lastUsedAt');
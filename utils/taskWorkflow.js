@@ -0,0 +1,196 @@
+const TaskCategory = require('../models/TaskCategory');
+const Task = require('../models/Task');
+
+// Workflow for tasks whose category the company has not defined. It keeps the
+// original behaviour: three statuses and any change between them.
+const DEFAULT_STATUSES = ['pending', 'in_progress', 'completed'];
+
+const DEFAULT_WORKFLOW = {
+  name: null,
+  statuses: [
+    { key: 'pending', label: 'Pending', final: false },
+    { key: 'in_progress', label: 'In progress', final: false },
+    { key: 'completed', label: 'Completed', final: true }
+  ],
+  initialStatus: 'pending',
+  transitions: DEFAULT_STATUSES.flatMap(from =>
+    DEFAULT_STATUSES.filter(to => to !== from).map(to => ({ from, to })))
+};
+
+const STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const workflowError = (field, code, message) => ({ field, code, message });
+
+exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+
+// Workflow for a new task. A company with categories only accepts its active
+// ones; a company without any keeps free-form categories on the default
+// workflow. Returns the workflow, or an error message when the category
+// cannot be used.
+exports.getNewTaskWorkflow = async (companyId, categoryName) => {
+  const categories = await TaskCategory.find({ company: companyId }).lean();
+  if (categories.length === 0) {
+    return { workflow: { ...DEFAULT_WORKFLOW, name: categoryName } };
+  }
+
+  const category = categories.find(item => item.name === categoryName && item.active);
+  if (!category) {
+    return {
+      error: `Unknown category "${categoryName}". Use one of: ${categories.filter(item => item.active).map(item => item.name).join(', ')}`
+    };
+  }
+
+  return { workflow: category };
+};
+
+// Workflow for an existing task. Its category may have been removed or
+// deactivated since, in which case the default workflow applies.
+exports.getTaskWorkflow = async (task) => {
+  const category = await TaskCategory.findOne({ company: task.company, name: task.category }).lean();
+  return category || { ...DEFAULT_WORKFLOW, name: task.category };
+};
+
+exports.isFinalStatus = (workflow, status) =>
+  workflow.statuses.some(item => item.key === status && item.final);
+
+exports.allowedTransitions = (workflow, from) =>
+  workflow.transitions.filter(transition => transition.from === from).map(transition => transition.to);
+
+// Error response for moving a task from one status to another, or null
+exports.transitionError = (workflow, from, to) => {
+  if (!workflow.statuses.some(item => item.key === to)) {
+    return {
+      message: `Invalid status "${to}". Must be one of: ${workflow.statuses.map(item => item.key).join(', ')}`,
+      allowedStatuses: exports.allowedTransitions(workflow, from)
+    };
+  }
+
+  if (from !== to && !exports.allowedTransitions(workflow, from).includes(to)) {
+    return {
+      message: `Cannot move a ${workflow.name || 'task'} task from "${from}" to "${to}"`,
+      allowedStatuses: exports.allowedTransitions(workflow, from)
+    };
+  }
+
+  return null;
+};
+
+// completedAt for a task moving into `status`: set when it first becomes
+// final, kept while it moves between final statuses, cleared when it reopens
+exports.completedAtFor = (workflow, status, current = null) =>
+  (exports.isFinalStatus(workflow, status) ? current || new Date() : null);
+
+// Bring completedAt of a category's tasks in line with its workflow after its
+// final statuses changed
+exports.syncCompletion = async (companyId, categoryName, workflow) => {
+  const finalStatuses = workflow.statuses.filter(status => status.final).map(status => status.key);
+  await Task.updateMany(
+    { company: companyId, category: categoryName, status: { $in: finalStatuses }, completedAt: null },
+    { $set: { completedAt: new Date() } }
+  );
+  await Task.updateMany(
+    { company: companyId, category: categoryName, status: { $nin: finalStatuses }, completedAt: { $ne: null } },
+    { $set: { completedAt: null } }
+  );
+};
+
+// Task filters for progress counts across workflows: completed tasks are in a
+// final status, pending ones are still in their workflow's initial status and
+// every other open task is in progress. Combine them with $and, as they may
+// hold their own $or.
+exports.progressFilters = async (companyId) => {
+  const categories = await TaskCategory.find({ company: companyId }).select('name initialStatus').lean();
+  const notStarted = [
+    ...categories.map(category => ({ category: category.name, status: category.initialStatus })),
+    {
+      category: { $nin: categories.map(category => category.name) },
+      status: DEFAULT_WORKFLOW.initialStatus
+    }
+  ];
+
+  return {
+    completed: { completedAt: { $ne: null } },
+    pending: { completedAt: null, $or: notStarted },
+    inProgress: { completedAt: null, $nor: notStarted }
+  };
+};
+
+// The final status a task can be completed into from its current status
+exports.completionStatus = (workflow, from) =>
+  exports.allowedTransitions(workflow, from).find(to => exports.isFinalStatus(workflow, to)) || null;
+
+// Validate a category definition from an admin; returns the fields to store
+// and any { field, code, message } errors
+exports.normalizeWorkflow = (input) => {
+  const errors = [];
+  const { statuses, initialStatus, transitions } = input || {};
+
+  if (!Array.isArray(statuses) || statuses.length < 2) {
+    errors.push(workflowError('statuses', 'invalid_statuses', 'statuses must list at least two statuses'));
+    return { workflow: null, errors };
+  }
+
+  const keys = [];
+  statuses.forEach((status, index) => {
+    if (!status || !STATUS_KEY_PATTERN.test(status.key)) {
+      errors.push(workflowError(`statuses.${index}.key`, 'invalid_key', 'Status keys must be lowercase letters, digits and underscores'));
+    } else if (keys.includes(status.key)) {
+      errors.push(workflowError(`statuses.${index}.key`, 'duplicate_key', `Status "${status.key}" is listed twice`));
+    } else {
+      keys.push(status.key);
+    }
+  });
+
+  if (!statuses.some(status => status?.final)) {
+    errors.push(workflowError('statuses', 'no_final_status', 'At least one status must be final'));
+  }
+
+  if (!keys.includes(initialStatus)) {
+    errors.push(workflowError('initialStatus', 'unknown_status', 'initialStatus must be one of the statuses'));
+  }
+
+  if (!Array.isArray(transitions)) {
+    errors.push(workflowError('transitions', 'invalid_transitions', 'transitions must be a list of { from, to }'));
+  } else {
+    transitions.forEach((transition, index) => {
+      if (!keys.includes(transition?.from) || !keys.includes(transition?.to)) {
+        errors.push(workflowError(`transitions.${index}`, 'unknown_status', 'Transitions must connect listed statuses'));
+      } else if (transition.from === transition.to) {
+        errors.push(workflowError(`transitions.${index}`, 'invalid_transition', 'A transition must change the status'));
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { workflow: null, errors };
+  }
+
+  // Tasks must be able to finish: a final status has to be reachable from the initial one
+  const reachable = new Set([initialStatus]);
+  let added = true;
+  while (added) {
+    added = false;
+    transitions.forEach(({ from, to }) => {
+      if (reachable.has(from) && !reachable.has(to)) {
+        reachable.add(to);
+        added = true;
+      }
+    });
+  }
+  if (!statuses.some(status => status.final && reachable.has(status.key))) {
+    errors.push(workflowError('transitions', 'unreachable_final_status', 'No final status can be reached from the initial status'));
+    return { workflow: null, errors };
+  }
+
+  const seen = new Set();
+  return {
+    workflow: {
+      statuses: statuses.map(({ key, label, final }) => ({ key, label: label || key, final: Boolean(final) })),
+      initialStatus,
+      transitions: transitions
+        .map(({ from, to }) => ({ from, to }))
+        .filter(({ from, to }) => !seen.has(`${from}>${to}`) && seen.add(`${from}>${to}`))
+    },
+    errors
+  };
+};
@@ -0,0 +1,25 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Request-scoped tenant context read by the tenant plugin. Authenticated HTTP
+// requests and socket events run inside it; crons, scripts and pre-login
+// lookups run outside it and are not scoped.
+const storage = new AsyncLocalStorage();
+
+exports.tenantContextFor = (user) => ({
+  userId: user._id.toString(),
+  role: user.role,
+  company: user.company ? (user.company._id || user.company).toString() : null
+});
+
+exports.runWithTenant = (context, fn) => storage.run(context, fn);
+
+exports.getTenantContext = () => storage.getStore();
+
+// For internal lookups that must see every company, such as the global email
+// uniqueness check. Never use it to return another company's data.
+exports.runAsSystem = (fn) => storage.exit(async () => fn());
+
+// Middleware that calls next from a stream event (multer) would otherwise
+// drop the context; bind next to the context it was called in.
+exports.bindTenant = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { getTenantContext } = require('./tenantContext');
+
+class TenantIsolationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TenantIsolationError';
+    this.statusCode = 403;
+  }
+}
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Queries that only read; members from other companies are never written to
+// through another company's context
+const READ_HOOKS = ['countDocuments', 'distinct', 'find', 'findOne'];
+
+const idString = (value) => (value?._id || value)?.toString();
+
+// Cross-tenant access is an explicit opt-in and only for super admins
+const allowsCrossTenant = (context, options, modelName) => {
+  if (!options.crossTenant) return false;
+  if (context.role !== 'super_admin') {
+    throw new TenantIsolationError(`Cross-tenant ${modelName} queries are only allowed for super admins`);
+  }
+  return true;
+};
+
+// Without a company (super admin) a query must name a company, be limited to
+// the caller's own records, or be marked cross-tenant
+const assertScopedFilter = (context, filter, modelName, ownerField) => {
+  if (filter.company !== undefined) return;
+  if (ownerField && idString(filter[ownerField]) === context.userId) return;
+
+  throw new TenantIsolationError(
+    `Unscoped ${modelName} query. Filter by company or mark it with { crossTenant: true }`
+  );
+};
+
+// Users from other companies who are members of the context's company,
+// loaded once per request. Pending invites do not count.
+const memberIdsFor = (context) => {
+  if (!context.memberIds) {
+    context.memberIds = mongoose.model('Membership')
+      .distinct('user', { company: context.company, pending: { $ne: true } });
+  }
+  return context.memberIds;
+};
+
+// Adds the caller's company to every query, aggregate and new document on the
+// schema. ownerField names the field holding the owning user, so users without
+// a company can still reach their own records. With ownRecordsAcrossCompanies
+// those records stay reachable while the caller works in another company.
+// With includeMembers, reads also match members joining from other
+// companies, whose documents keep their own company.
+module.exports = function tenantPlugin(schema, {
+  ownerField,
+  ownRecordsAcrossCompanies = false,
+  includeMembers = false
+} = {}) {
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, async function () {
+    const context = getTenantContext();
+    if (!context) return;
+
+    const modelName = this.model.modelName;
+    if (allowsCrossTenant(context, this.getOptions(), modelName)) return;
+
+    if (context.company) {
+      if (ownRecordsAcrossCompanies && idString(this.getFilter()[ownerField]) === context.userId) return;
+      if (includeMembers && READ_HOOKS.includes(this.op)) {
+        this.and([{ $or: [{ company: context.company }, { _id: { $in: await memberIdsFor(context) } }] }]);
+        return;
+      }
+      this.and([{ company: context.company }]);
+      return;
+    }
+
+    assertScopedFilter(context, this.getFilter(), modelName, ownerField);
+  });
+
+  schema.pre('aggregate', function () {
+    const context = getTenantContext();
+    if (!context) return;
+
+    const modelName = this._model.modelName;
+    if (allowsCrossTenant(context, this.options, modelName)) return;
+
+    if (context.company) {
+      this.pipeline().unshift({ $match: { company: new mongoose.Types.ObjectId(context.company) } });
+      return;
+    }
+
+    const firstStage = this.pipeline()[0];
+    assertScopedFilter(context, firstStage?.$match || {}, modelName, ownerField);
+  });
+
+  // Runs before validation so a required company can be filled in
+  const assignCompany = (doc, context, modelName) => {
+    if (!doc.company) {
+      doc.company = context.company;
+    } else if (idString(doc.company) !== context.company) {
+      throw new TenantIsolationError(`Cannot write a ${modelName} for another company`);
+    }
+  };
+
+  schema.pre('validate', function () {
+    const context = getTenantContext();
+    if (!context?.company) return;
+    assignCompany(this, context, this.constructor.modelName);
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    const context = getTenantContext();
+    if (context?.company) {
+      try {
+        [].concat(docs).forEach(doc => assignCompany(doc, context, this.modelName));
+      } catch (error) {
+        return next(error);
+      }
+    }
+    next();
+  });
+};
+
+module.exports.TenantIsolationError = TenantIsolationError;
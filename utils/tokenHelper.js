@@ -0,0 +1,7 @@
+const crypto = require('crypto');
+
+// Random, URL-safe token for emailed links and refresh tokens
+exports.generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are only ever stored as SHA-256 hashes
+exports.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenHelper');
+
+// RFC 6238 defaults understood by every common authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+// HOTP (RFC 4226) for a given counter
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.generateTotp = (secret, time = Date.now()) => generateHotp(secret, currentStep(time));
+
+// Returns the matched time step, or null. Accepts one step of clock drift either
+// way and rejects steps at or before `lastUsedStep` so a code cannot be replayed.
+exports.verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (candidate <= lastUsedStep) continue;
+    const expected = generateHotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+exports.buildProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Plain codes are shown to the user once; only their hashes are stored
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(exports.hashRecoveryCode)
+  };
+};
+
+exports.hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
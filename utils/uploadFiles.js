@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every upload lives below this directory; task files under uploads/<companyId>,
+// chat files and avatars in shared directories
+const UPLOAD_DIR = path.resolve('uploads');
+
+exports.UPLOAD_DIR = UPLOAD_DIR;
+
+// Resolve a stored upload path ('uploads/...' or '/uploads/...') to a file
+// inside the uploads directory; anything pointing elsewhere is skipped
+exports.resolveUpload = (filePath) => {
+  const absolute = path.resolve(filePath.replace(/^\/+/, ''));
+  return absolute.startsWith(UPLOAD_DIR + path.sep) ? absolute : null;
+};
+
+exports.listFiles = async (dir) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = await Promise.all(entries.map(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? exports.listFiles(entryPath) : [entryPath];
+  }));
+  return files.flat();
+};
+
+exports.companyUploadDir = (companyId) => path.join(UPLOAD_DIR, companyId.toString());